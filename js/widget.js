@@ -11,23 +11,26 @@ const PROXY_BASE = 'https://tydxdpntshbobomemzxj.supabase.co/functions/v1/ingram
 const PAGE_SIZE = 50;
 
 // Distributor configurations
+// A distributor tab is only enabled once an adapter is registered for it
+// (see DISTRIBUTOR ADAPTERS below).
 const DISTRIBUTORS = {
     ingram: {
         name: 'Ingram Micro',
+        code: 'IM',
         apiPrefix: '/api',
         color: '#0ea5e9'
     },
     tdsynnex: {
         name: 'TD SYNNEX',
+        code: 'TS',
         apiPrefix: '/tdsynnex',
-        color: '#10b981',
-        disabled: true
+        color: '#10b981'
     },
     arrow: {
         name: 'Arrow',
+        code: 'AR',
         apiPrefix: '/arrow',
-        color: '#f59e0b',
-        disabled: true
+        color: '#f59e0b'
     }
 };
 
@@ -42,6 +45,8 @@ const state = {
     subcategory: '',
     skuType: '',
     skuKeyword: '',
+    // All-manufacturer search ({ query, type }); replaces the filters above while set
+    universalSearch: null,
     // Filter loading state
     loadingFilters: {
         category: false,
@@ -59,11 +64,68 @@ const state = {
     queuedProducts: [],
     groupByManufacturer: true,
     isAuthenticated: false,
+    session: {
+        status: 'checking',
+        expiresAt: null,
+        lastChecked: null
+    },
     pendingResponseId: null,
     parentContext: null,
     currentProducts: [],
+    pageProducts: [],
+    // Result-set quick filters (minPrice / maxPrice are MSRP bounds)
+    quickFilters: {
+        inStock: false,
+        authorized: false,
+        notDiscontinued: false,
+        minPrice: null,
+        maxPrice: null
+    },
     pricingData: {},
-    rawApiVisible: false
+    // Quote and org home currency; exchange rates are units per 1 home currency
+    quoteCurrency: '',
+    homeCurrency: '',
+    exchangeRates: {},
+    rawApiVisible: false,
+    detailsProduct: null,
+    // Markup rules applied to queued lines
+    pricingRules: [],
+    pricingRulesVisible: false,
+    // Ship-from warehouses ({ distributor, id, location }) and those seen in pricing
+    preferredWarehouses: [],
+    knownWarehouses: new Map(),
+    warehousesVisible: false,
+    // Queue drafts (autosave key is per quote record; null until known)
+    quoteLineItems: [],
+    quoteValidTill: '',
+    draftKey: null,
+    pendingDraft: null,
+    pendingSubmission: null,
+    submitting: false,
+    // Bulk part number entry and BOM import
+    bulkLines: [],
+    bomImport: null,
+    draftsVisible: false,
+    // Cross-distributor source comparison
+    sourceComparison: null,
+    // Side-by-side comparison of ticked products ({ products, details })
+    productComparison: null,
+    // Current result listing and the pages loaded for it (infinite scroll)
+    productsListing: null,
+    loadedPages: new Map(),
+    loadingMore: false,
+    // Pages that may still load without the rep scrolling (see AUTO_LOAD_PAGE_LIMIT)
+    autoLoadsLeft: 0,
+    // Virtualized rendering: measured row height and the rows in the DOM
+    rowHeight: null,
+    renderedRange: null,
+    scrollFrame: null,
+    // Index into currentProducts of the row that holds keyboard focus
+    focusedRow: 0,
+    // Product table layout (saved per Zoho user)
+    currentUser: null,
+    tableColumns: [],
+    tableSort: { column: 'part', direction: 'asc' }
 };
 
 let searchTimeout = null;
@@ -75,18 +137,850 @@ let isResizing = false;
 let isResizingQueue = false;
 let queueResizeStartX = 0;
 let queueResizeStartWidth = 0;
+const RESIZE_KEY_STEP = 20;
+
+// =====================================================
+// INTERNATIONALIZATION
+// =====================================================
+// User-facing strings live in translations/<language>.json. t() falls back to
+// English and then to the key, so a missing translation never blanks the UI.
+// Static markup is tagged with data-i18n (text), data-i18n-placeholder,
+// data-i18n-title and data-i18n-aria-label. Numbers and dates follow the
+// Zoho user's locale even when their language falls back to English.
+const SUPPORTED_LANGUAGES = ['en', 'fr', 'es'];
+const DEFAULT_LOCALE = 'en-US';
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+const i18n = {
+    language: 'en',
+    locale: DEFAULT_LOCALE,
+    catalogs: {}
+};
+
+// Until the Zoho user is known, the browser language is the best guess
+async function initI18n() {
+    await loadCatalog('en');
+    await setLocale(navigator.language, false);
+}
+
+async function loadCatalog(language) {
+    if (i18n.catalogs[language]) return;
+
+    try {
+        const response = await fetch(`translations/${language}.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        i18n.catalogs[language] = await response.json();
+    } catch (error) {
+        console.warn(`[i18n] Could not load ${language} translations:`, error);
+        i18n.catalogs[language] = {};
+    }
+}
+
+// Zoho reports locales like "fr_CA"; Intl expects "fr-CA"
+function normalizeLocale(locale) {
+    const candidate = String(locale || '').replace(/_/g, '-');
+    try {
+        return Intl.NumberFormat.supportedLocalesOf([candidate])[0] || DEFAULT_LOCALE;
+    } catch (error) {
+        return DEFAULT_LOCALE;
+    }
+}
+
+async function setLocale(locale, rerender = true) {
+    const nextLocale = normalizeLocale(locale);
+    const baseLanguage = nextLocale.split('-')[0].toLowerCase();
+    const nextLanguage = SUPPORTED_LANGUAGES.includes(baseLanguage) ? baseLanguage : 'en';
+
+    await loadCatalog(nextLanguage);
+
+    const changed = nextLocale !== i18n.locale || nextLanguage !== i18n.language;
+    i18n.locale = nextLocale;
+    i18n.language = nextLanguage;
+    document.documentElement.lang = nextLanguage;
+
+    // Later calls only redraw when the Zoho user's locale differs from the guess
+    if (!changed && rerender) return;
+    applyTranslations();
+    if (rerender) rerenderForLocale();
+}
+
+// Redraw everything that was rendered from JS with the previous language
+function rerenderForLocale() {
+    syncDistributorTabs();
+    populateSkuTypeOptions();
+    renderProductTableHeader();
+    renderColumnChooser();
+    refreshProductsTable();
+    setSessionStatus(state.session.status);
+    renderPricingRules();
+    onPricingRuleScopeChange();
+    renderNamedDrafts();
+    renderWarehouseSettings();
+    renderQuoteCurrency();
+    updateUniversalSearchHint();
+    if (state.universalSearch) document.getElementById('selectedMfrBadge').textContent = t('search.allManufacturers');
+    if (state.pendingDraft) showDraftRestoreBanner(state.pendingDraft);
+    if (state.queuedProducts.length > 0) renderQueueItems();
+    if (state.bulkLines.length > 0) renderBulkResults();
+    if (state.bomImport) renderBomMapping();
+    if (state.sourceComparison) renderSourceComparison();
+    if (state.productComparison) renderProductComparison();
+}
+
+function t(key, params = {}) {
+    const template = lookupTranslation(key, params.count);
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : value;
+    });
+}
+
+// Keys with _one / _other (etc.) variants are chosen by the count parameter
+function lookupTranslation(key, count) {
+    const catalogs = [i18n.catalogs[i18n.language], i18n.catalogs.en].filter(Boolean);
+    const candidates = typeof count === 'number'
+        ? [`${key}_${new Intl.PluralRules(i18n.locale).select(count)}`, `${key}_other`, key]
+        : [key];
+
+    for (const catalog of catalogs) {
+        for (const candidate of candidates) {
+            if (catalog[candidate] !== undefined) return catalog[candidate];
+        }
+    }
+    return key;
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+
+    I18N_ATTRIBUTES.forEach(attr => {
+        root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+        });
+    });
+}
+
+function formatNumber(val, options = {}) {
+    return Number(val).toLocaleString(i18n.locale, options);
+}
+
+function formatPercent(val, fractionDigits = 1) {
+    return Number(val / 100).toLocaleString(i18n.locale, {
+        style: 'percent',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    });
+}
+
+function formatDate(val) {
+    const date = val instanceof Date ? val : new Date(val);
+    return Number.isNaN(date.getTime()) ? String(val) : date.toLocaleDateString(i18n.locale);
+}
+
+function formatDateTime(val) {
+    const date = val instanceof Date ? val : new Date(val);
+    return Number.isNaN(date.getTime()) ? String(val) : date.toLocaleString(i18n.locale);
+}
+
+function formatTime(val) {
+    const date = val instanceof Date ? val : new Date(val);
+    return Number.isNaN(date.getTime()) ? String(val) : date.toLocaleTimeString(i18n.locale);
+}
+
+// =====================================================
+// PROXY CLIENT
+// =====================================================
+// Every call to the Supabase proxy goes through proxyRequest(), which adds
+// timeouts, retries idempotent GETs with backoff, cancels superseded requests
+// that share a channel, and turns failures into ProxyErrors.
+const PROXY_TIMEOUT_MS = 20000;
+const PROXY_RETRY_LIMIT = 2;
+const PROXY_RETRY_DELAY_MS = 500;
+
+// ProxyError types: 'timeout', 'network', 'auth', 'http', 'proxy', 'aborted'
+class ProxyError extends Error {
+    constructor(type, message, { action = '', status = null } = {}) {
+        super(message);
+        this.name = 'ProxyError';
+        this.type = type;
+        this.action = action;
+        this.status = status;
+    }
+
+    get retryable() {
+        return this.type === 'timeout' || this.type === 'network' ||
+            (this.type === 'http' && (this.status >= 500 || this.status === 429));
+    }
+}
+
+const proxyChannels = new Map();
+
+function buildProxyUrl(action, params = {}) {
+    const query = new URLSearchParams({ action });
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            query.append(key, value);
+        }
+    });
+    return `${PROXY_BASE}?${query}`;
+}
+
+// options: { params, method, body, channel, timeout, reauth }
+// A request on a channel aborts the previous request on that channel.
+// An auth failure re-authenticates once and replays the request (reauth: false
+// turns this off for the status and auth calls themselves).
+async function proxyRequest(action, options = {}) {
+    const { params, method = 'GET', body, channel, timeout = PROXY_TIMEOUT_MS, reauth = true } = options;
+    const url = buildProxyUrl(action, params);
+
+    const controller = new AbortController();
+    if (channel) {
+        proxyChannels.get(channel)?.abort();
+        proxyChannels.set(channel, controller);
+    }
+
+    const retries = method === 'GET' ? PROXY_RETRY_LIMIT : 0;
+
+    try {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const data = await sendProxyRequest(action, url, method, body, controller.signal, timeout);
+                if (state.session.status === 'offline') runHealthCheck();
+                return data;
+            } catch (error) {
+                if (error.type === 'auth' && reauth && !controller.signal.aborted) {
+                    return await replayAfterReauth(action, options, controller, error);
+                }
+                if (error.type === 'network') setSessionStatus('offline');
+                if (attempt >= retries || !error.retryable || controller.signal.aborted) throw error;
+                await wait(PROXY_RETRY_DELAY_MS * 2 ** attempt);
+                if (controller.signal.aborted) {
+                    throw new ProxyError('aborted', t('error.superseded'), { action });
+                }
+            }
+        }
+    } finally {
+        if (channel && proxyChannels.get(channel) === controller) {
+            proxyChannels.delete(channel);
+        }
+    }
+}
+
+async function replayAfterReauth(action, options, controller, authError) {
+    if (!(await reauthenticate())) throw authError;
+    // A newer request on the same channel may have started while re-authenticating
+    if (controller.signal.aborted) {
+        throw new ProxyError('aborted', t('error.superseded'), { action });
+    }
+    return proxyRequest(action, { ...options, reauth: false });
+}
+
+async function sendProxyRequest(action, url, method, body, signal, timeout) {
+    const attempt = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        attempt.abort();
+    }, timeout);
+    const onAbort = () => attempt.abort();
+    signal.addEventListener('abort', onAbort);
+
+    let response;
+    try {
+        response = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: attempt.signal
+        });
+    } catch (error) {
+        if (timedOut) {
+            throw new ProxyError('timeout', t('error.noResponse', { seconds: Math.round(timeout / 1000) }), { action });
+        }
+        if (signal.aborted) {
+            throw new ProxyError('aborted', t('error.superseded'), { action });
+        }
+        throw new ProxyError('network', t('error.network'), { action });
+    } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+    }
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch (error) {
+        if (response.ok) {
+            throw new ProxyError('proxy', t('error.unreadable'), { action, status: response.status });
+        }
+    }
+
+    const detail = data?.error?.message || data?.error || data?.message || '';
+
+    if (response.status === 401 || response.status === 403) {
+        throw new ProxyError('auth', detail || t('error.notAuthorized'), { action, status: response.status });
+    }
+    if (!response.ok) {
+        throw new ProxyError('http', detail || `HTTP ${response.status}`, { action, status: response.status });
+    }
+    // The proxy reports some failures (e.g. Ingram errors) as 200 with an error body
+    if (data?.error) {
+        throw new ProxyError('proxy', detail, { action, status: response.status });
+    }
+
+    return data;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isAbortError(error) {
+    return error instanceof ProxyError && error.type === 'aborted';
+}
+
+// Status bar text for a failed request; context says what was being done
+function describeProxyError(error, context) {
+    if (!(error instanceof ProxyError)) {
+        return t('error.withMessage', { context, message: error.message });
+    }
+
+    switch (error.type) {
+        case 'timeout':
+            return t('error.describe.timeout', { context });
+        case 'network':
+            return t('error.describe.network', { context });
+        case 'auth':
+            return t('error.describe.auth', { context });
+        case 'http':
+            return error.status >= 500
+                ? t('error.describe.unavailable', { context, status: error.status })
+                : t('error.describe.http', { context, message: error.message, status: error.status });
+        default:
+            return t('error.withMessage', { context, message: error.message });
+    }
+}
+
+// =====================================================
+// DISTRIBUTOR ADAPTERS
+// =====================================================
+// Every distributor implements the same adapter interface so the UI never
+// touches distributor-specific query strings or response fields:
+//
+//   skuTypes                        [{ value, label }] for the SKU Type select
+//   searchManufacturers(term, opts) -> [manufacturer name]
+//   loadFacets(facet, filters)      -> [value]  (facet: 'category' | 'subcategory')
+//   loadProductPage(filters, page, opts) -> { products, pagination }
+//   loadPricing(products)           -> { [sku]: pricing }  (priced at product.quantity)
+//   loadProductDetails(product)     -> { flags, attributes: [{ group, name, value }], raw } or null
+//   findByVendorPart(part, mfr)     -> product (with pricing) or null
+//   findByIdentifier(id, opts)      -> [product]  exact matches on vendor part, SKU or UPC
+//   isDistributorSku(value)         -> true when value looks like this distributor's SKU
+//   zohoFields(product)             -> distributor-specific Zoho field map
+//
+// Products and pricing are returned in the common shapes built by
+// createProduct() and createPricing(). opts are passed through to
+// proxyRequest() (e.g. a cancellation channel); failures throw ProxyErrors.
+const distributorAdapters = {};
+
+function registerDistributorAdapter(key, adapter) {
+    if (!DISTRIBUTORS[key]) {
+        console.warn(`[Adapters] Unknown distributor "${key}"`);
+        return;
+    }
+    distributorAdapters[key] = adapter;
+    syncDistributorTabs();
+}
+
+function getDistributorAdapter(key = state.currentDistributor) {
+    return distributorAdapters[key] || null;
+}
+
+function createProduct(distributor, fields) {
+    return {
+        distributor,
+        sku: '',                // Distributor's own SKU
+        vendorPartNumber: '',
+        vendorName: '',
+        description: '',
+        longDescription: '',
+        category: '',
+        subCategory: '',
+        productType: '',
+        skuType: '',            // Physical | Digital | Subscription
+        upc: '',
+        productClass: '',
+        replacementSku: '',
+        authorized: false,
+        discontinued: false,
+        directShip: false,
+        newProduct: false,
+        pricing: null,
+        raw: null,
+        ...fields
+    };
+}
+
+function createPricing(fields) {
+    return {
+        msrp: null,
+        cost: null,
+        currency: '',
+        discounts: [],
+        subscriptionPrice: [],
+        // One entry per option and resource:
+        // { id, planName, resourceName, unit, term: { duration, unit }, billingPeriod, trial, msrp, cost }
+        subscriptionPlans: [],
+        availability: {
+            available: null,
+            total: null,
+            warehouses: []
+        },
+        upc: '',
+        productClass: '',
+        authorized: null,
+        bundle: null,
+        description: '',
+        raw: null,
+        ...fields
+    };
+}
+
+// Unique key for a product across pages and queue
+function getProductKey(product) {
+    return product.sku || product.vendorPartNumber;
+}
+
+function getProductPricing(product) {
+    return product.pricing || state.pricingData?.[product.sku] || null;
+}
+
+function isTrueFlag(val) {
+    return val === true || val === 'true';
+}
+
+// ---------- Ingram Micro ----------
+function normalizeIngramSubscriptionPlans(subscriptionPrice) {
+    if (!Array.isArray(subscriptionPrice)) return [];
+
+    return subscriptionPrice.flatMap(group => (group.options || []).flatMap(option =>
+        (option.resourcePricing || []).map(resource => {
+            const billing = resource.billingPeriod || option.billingPeriod || resource.pricePeriod || '';
+            return {
+                // Built from what the plan is, never from its position, so a
+                // queued line's plan still matches after repricing reorders them
+                id: [
+                    option.planId ?? option.planName ?? group.groupName ?? '',
+                    resource.resourceId ?? resource.resourceName ?? '',
+                    option.duration ?? '', option.durationUnit || '',
+                    typeof billing === 'object' ? JSON.stringify(billing) : billing,
+                    isTrueFlag(option.isTrial) ? 'trial' : ''
+                ].join('|'),
+                planName: option.planName || option.groupName || '',
+                resourceName: resource.resourceName || '',
+                unit: resource.resourceUom || resource.resourceUOM || '',
+                term: { duration: option.duration ?? null, unit: option.durationUnit || '' },
+                // Billing may be a label ("Monthly") or { duration, unit }
+                billingPeriod: typeof billing === 'object' ? [billing.duration, billing.unit].filter(Boolean).join(' ') : String(billing),
+                trial: isTrueFlag(option.isTrial),
+                msrp: resource.msrp ?? null,
+                cost: resource.cost ?? resource.unitPrice ?? resource.customerPrice ?? null
+            };
+        })
+    ));
+}
+
+function normalizeIngramPricing(data) {
+    if (!data) return null;
+
+    const discounts = [];
+    (data.discounts || []).forEach(discountGroup => {
+        if (Array.isArray(discountGroup.specialPricing)) {
+            discountGroup.specialPricing.forEach(d => discounts.push({
+                type: d.discountType || '',
+                bidNumber: d.specialBidNumber || '',
+                amount: d.specialPricingDiscount ?? null,
+                quantity: d.specialPricingAvailableQuantity ?? null,
+                effectiveDate: d.specialPricingEffectiveDate || '',
+                expirationDate: d.specialPricingExpirationDate || ''
+            }));
+        }
+    });
+
+    return createPricing({
+        msrp: data.pricing?.retailPrice ?? null,
+        cost: data.pricing?.customerPrice ?? null,
+        currency: data.pricing?.currencyCode || '',
+        discounts,
+        subscriptionPrice: Array.isArray(data.subscriptionPrice) ? data.subscriptionPrice : [],
+        subscriptionPlans: normalizeIngramSubscriptionPlans(data.subscriptionPrice),
+        availability: {
+            available: data.availability?.available ?? null,
+            total: data.availability?.totalAvailability ?? null,
+            warehouses: (data.availability?.availabilityByWarehouse || []).map(wh => ({
+                id: wh.warehouseId,
+                location: wh.location || '',
+                available: wh.quantityAvailable ?? 0,
+                backordered: wh.quantityBackordered ?? 0,
+                eta: wh.quantityBackorderedEta || wh.backOrderInfo?.[0]?.etaDate || ''
+            }))
+        },
+        upc: data.upc || '',
+        productClass: data.productClass || '',
+        authorized: data.productAuthorized ?? null,
+        bundle: data.bundlePartIndicator ?? null,
+        description: data.description || '',
+        raw: data
+    });
+}
+
+function normalizeIngramProduct(p) {
+    return createProduct('ingram', {
+        sku: p.ingramPartNumber || '',
+        vendorPartNumber: p.vendorPartNumber || '',
+        vendorName: p.vendorName || '',
+        description: p.description || '',
+        longDescription: p.extraDescription || '',
+        category: p.category || '',
+        subCategory: p.subCategory || '',
+        productType: p.productType || '',
+        skuType: normalizeSKUType(p.type),
+        upc: p.upcCode || '',
+        productClass: p.productClass || '',
+        replacementSku: p.replacementSku || '',
+        authorized: isTrueFlag(p.authorizedToPurchase),
+        discontinued: isTrueFlag(p.discontinued),
+        directShip: isTrueFlag(p.directShip),
+        newProduct: isTrueFlag(p.newProduct),
+        pricing: normalizeIngramPricing(p.pricingData),
+        raw: p
+    });
+}
+
+const ingramAdapter = {
+    skuTypes: [
+        { value: 'IM::physical', label: 'Physical' },
+        { value: 'IM::digital', label: 'Digital' },
+        { value: 'IM::subscription', label: 'Subscription' }
+    ],
+    async searchManufacturers(term, options = {}) {
+        const data = await proxyRequest('manufacturers', { ...options, params: { search: term } });
+        return data.manufacturers || [];
+    },
+
+    async loadFacets(facet, filters) {
+        const isCategory = facet === 'category';
+        const data = await proxyRequest(isCategory ? 'categories' : 'subcategories', {
+            params: {
+                vendor: filters.manufacturer,
+                subCategory: isCategory ? filters.subcategory : '',
+                category: isCategory ? '' : filters.category,
+                type: filters.skuType
+            }
+        });
+        return data[isCategory ? 'categories' : 'subcategories'] || [];
+    },
+
+    async loadProductPage(filters, page, options = {}) {
+        const data = await proxyRequest('productsWithPricing', {
+            ...options,
+            params: {
+                page,
+                vendor: filters.manufacturer,
+                upc: filters.upc,
+                category: filters.category,
+                subCategory: filters.subcategory,
+                type: filters.skuType,
+                keyword: filters.keyword && filters.keyword.length >= 2 ? filters.keyword : ''
+            }
+        });
+        return {
+            products: (data.products || []).map(normalizeIngramProduct),
+            pagination: data.pagination || null
+        };
+    },
+
+    async loadPricing(products) {
+        const priced = products.filter(p => p.sku);
+        if (priced.length === 0) return {};
+
+        // Proxy contract for action=pricing (POST):
+        //   partNumbers  [ingramPartNumber]   always read; prices at quantity 1
+        //   products     [{ ingramPartNumber, quantity }]   forwarded to Ingram's
+        //                price-and-availability call so volume and special-bid
+        //                pricing apply; a proxy that ignores it still answers
+        //                from partNumbers, just at quantity 1
+        //   sandbox      false for the production Ingram environment
+        // Response: [Ingram price-and-availability item], one per part number
+        const data = await proxyRequest('pricing', {
+            method: 'POST',
+            body: {
+                partNumbers: priced.map(p => p.sku),
+                products: priced.map(p => ({ ingramPartNumber: p.sku, quantity: p.quantity || 1 })),
+                sandbox: false
+            }
+        });
+
+        const pricing = {};
+        if (Array.isArray(data)) {
+            data.forEach(item => {
+                pricing[item.ingramPartNumber] = normalizeIngramPricing(item);
+            });
+        }
+        return pricing;
+    },
+
+    async loadProductDetails(product) {
+        if (!product.sku) return null;
+
+        const data = await proxyRequest('productDetails', { params: { ingramPartNumber: product.sku } });
+        if (!data) return null;
+
+        const indicators = data.indicators || {};
+        return {
+            flags: {
+                digital: indicators.isDigitalType || product.skuType === 'Digital',
+                bundle: indicators.hasBundle,
+                licensed: indicators.isLicenseProduct,
+                serviceSku: indicators.isServiceSku,
+                directShip: indicators.isDirectship,
+                newProduct: indicators.isNewProduct,
+                discontinued: indicators.isDiscontinuedProduct
+            },
+            attributes: (data.technicalSpecifications || [])
+                .map(spec => ({
+                    group: spec.headerName || '',
+                    name: spec.attributeName || '',
+                    value: spec.attributeDisplay || spec.attributeValue || ''
+                }))
+                .filter(attr => attr.name),
+            raw: data
+        };
+    },
+
+    async findByVendorPart(vendorPartNumber, manufacturer) {
+        const page = await this.loadProductPage({ manufacturer, keyword: vendorPartNumber }, 1);
+        const target = vendorPartNumber.toLowerCase();
+        const match = page.products.find(p => p.vendorPartNumber.toLowerCase() === target);
+        if (!match) return null;
+
+        if (!match.pricing) {
+            const pricing = await this.loadPricing([match]);
+            match.pricing = pricing[match.sku] || null;
+        }
+        return match;
+    },
+
+    // Ingram Micro SKUs are a digit, two letters and three digits, e.g. 6YN647
+    isDistributorSku(value) {
+        return /^\d[a-z]{2}\d{3}$/i.test(value);
+    },
+
+    async findByIdentifier(identifier, options = {}) {
+        const filters = /^\d{12,14}$/.test(identifier) ? { upc: identifier } : { keyword: identifier };
+        const page = await this.loadProductPage(filters, 1, options);
+        const target = identifier.toLowerCase();
+
+        return page.products.filter(p =>
+            p.vendorPartNumber.toLowerCase() === target ||
+            p.sku.toLowerCase() === target ||
+            p.upc === identifier
+        );
+    },
+
+    zohoFields(product) {
+        return {
+            Ingram_Micro_SKU: product.sku || '',
+            IM_Product_Type: product.productType || ''
+        };
+    }
+};
+
+registerDistributorAdapter('ingram', ingramAdapter);
+
+// =====================================================
+// RESPONSE CACHE
+// =====================================================
+// Time-to-live per proxy action. Fresh entries are served without a request;
+// stale entries are served immediately and refreshed in the background.
+const CACHE_TTL = {
+    manufacturers: 24 * 60 * 60 * 1000,
+    categories: 24 * 60 * 60 * 1000,
+    subcategories: 24 * 60 * 60 * 1000,
+    productsWithPricing: 10 * 60 * 1000,
+    productDetails: 30 * 60 * 1000,
+    replacement: 30 * 60 * 1000,
+    pricing: 2 * 60 * 1000
+};
+// Long-lived lookups are kept in localStorage so they survive reopening the widget
+const PERSISTED_CACHE_ACTIONS = ['manufacturers', 'categories', 'subcategories'];
+const CACHE_STORAGE_KEY = 'productLookup.responseCache';
+const CACHE_MAX_ENTRIES = 300;
+const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const responseCache = new Map();
+const cacheRefreshes = new Map();
+
+function loadResponseCache() {
+    const saved = readStorage(CACHE_STORAGE_KEY, {});
+    const now = Date.now();
+
+    Object.entries(saved).forEach(([key, entry]) => {
+        if (entry && now - entry.time < CACHE_MAX_AGE) {
+            responseCache.set(key, entry);
+        }
+    });
+}
+
+function getCacheKey(action, params) {
+    return `${action}|${JSON.stringify(params)}`;
+}
+
+// time is when the value was fetched, for values taken from another response
+function setCacheEntry(action, key, value, time = Date.now()) {
+    responseCache.delete(key);
+    responseCache.set(key, { action, value, time });
+
+    // Map keeps insertion order, so the first key is the oldest entry
+    while (responseCache.size > CACHE_MAX_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+
+    if (PERSISTED_CACHE_ACTIONS.includes(action)) {
+        persistResponseCache();
+    }
+}
+
+function persistResponseCache() {
+    const persisted = {};
+    responseCache.forEach((entry, key) => {
+        if (PERSISTED_CACHE_ACTIONS.includes(entry.action)) persisted[key] = entry;
+    });
+    writeStorage(CACHE_STORAGE_KEY, persisted);
+}
+
+function isCacheEntryFresh(entry) {
+    return Date.now() - entry.time <= (CACHE_TTL[entry.action] || 0);
+}
+
+// Returns the cached value for (action, params) or runs loader() to fetch it.
+// When a stale value is returned, onRefresh(value) fires once the background
+// request brings back something different.
+async function cachedRequest(action, params, loader, onRefresh = null) {
+    const key = getCacheKey(action, params);
+    const entry = responseCache.get(key);
+
+    if (!entry) {
+        return structuredClone(await refreshCacheEntry(action, key, loader));
+    }
+
+    if (!isCacheEntryFresh(entry)) {
+        const staleJson = JSON.stringify(entry.value);
+        refreshCacheEntry(action, key, loader)
+            .then(value => {
+                if (onRefresh && JSON.stringify(value) !== staleJson) {
+                    onRefresh(structuredClone(value));
+                }
+            })
+            .catch(error => {
+                if (!isAbortError(error)) console.warn(`[Cache] Background refresh of ${action} failed:`, error);
+            });
+    }
+
+    return structuredClone(entry.value);
+}
+
+// Concurrent callers for the same key share one request
+function refreshCacheEntry(action, key, loader) {
+    if (cacheRefreshes.has(key)) return cacheRefreshes.get(key);
+
+    const request = loader()
+        .then(value => {
+            setCacheEntry(action, key, value);
+            return value;
+        })
+        .finally(() => cacheRefreshes.delete(key));
+
+    cacheRefreshes.set(key, request);
+    return request;
+}
+
+// Pricing is cached per SKU and quantity so only unpriced products hit the proxy
+async function loadCachedPricing(adapter, distributor, products) {
+    const pricing = {};
+    const missing = [];
+
+    products.forEach(product => {
+        const entry = responseCache.get(getPricingCacheKey(distributor, product));
+        if (entry && isCacheEntryFresh(entry)) {
+            pricing[product.sku] = structuredClone(entry.value);
+        } else {
+            missing.push(product);
+        }
+    });
+
+    if (missing.length > 0) {
+        const fresh = await adapter.loadPricing(missing);
+        missing.forEach(product => {
+            if (!fresh[product.sku]) return;
+            setCacheEntry('pricing', getPricingCacheKey(distributor, product), fresh[product.sku]);
+            pricing[product.sku] = fresh[product.sku];
+        });
+    }
+
+    return pricing;
+}
+
+function getPricingCacheKey(distributor, product) {
+    return getCacheKey('pricing', [distributor, product.sku, product.quantity || 1]);
+}
+
+// Product pages already carry quantity-1 pricing; keep it for details and
+// repricing. It keeps the page's fetch time, so a page served from cache
+// doesn't make its pricing look fresh, and never replaces newer pricing.
+function primePricingCache(distributor, products, time) {
+    products.forEach(product => {
+        if (!product.sku || !product.pricing) return;
+
+        const key = getPricingCacheKey(distributor, { sku: product.sku });
+        if ((responseCache.get(key)?.time ?? -Infinity) >= time) return;
+        setCacheEntry('pricing', key, product.pricing, time);
+    });
+}
+
+function clearResponseCache() {
+    responseCache.clear();
+    writeStorage(CACHE_STORAGE_KEY, null);
+    state.pricingData = {};
+    state.filterParams.category = '';
+    state.filterParams.subcategory = '';
+    showStatus(t('status.cacheCleared'), 'success');
+}
 
 // =====================================================
 // ZOHO SDK INITIALIZATION
 // =====================================================
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('Widget DOM loaded, initializing...');
+    // Strings must be available before anything renders
+    await initI18n();
     initZohoSDK();
+    syncDistributorTabs();
+    populateSkuTypeOptions();
+    loadPricingRules();
+    loadPreferredWarehouses();
+    loadResponseCache();
+    loadTableLayout();
     initEventListeners();
     initDragAndDrop();
+    initKeyboardNavigation();
     initResize();
     initQueueResize();
     checkProxyStatus();
+    startHealthChecks();
     updateQueueUI();
 
     // Set "Group by Manufacturer" checkbox to match default state
@@ -99,7 +993,8 @@ document.addEventListener('DOMContentLoaded', function() {
 function initZohoSDK() {
     if (typeof ZOHO === 'undefined') {
         console.warn('ZOHO SDK not loaded. Running in standalone mode.');
-        showStatus('Running in standalone mode (Zoho SDK not available)', 'info');
+        showStatus(t('status.standalone'), 'info');
+        initQueueDrafts();
         return;
     }
 
@@ -109,17 +1004,46 @@ function initZohoSDK() {
     ZOHO.embeddedApp.on("PageLoad", function(data) {
         console.log('PageLoad event received:', data);
         state.parentContext = data;
-        showStatus('Widget loaded. Select a manufacturer to begin.', 'info');
+        initQueueDrafts();
+        initQuoteCurrency();
+        loadQuoteLineItems();
+        loadCurrentUser();
+        loadOrgCurrency();
+        showStatus(t('status.widgetLoaded'), 'info');
     });
 
     ZOHO.embeddedApp.on("NotifyAndWait", function(data) {
         console.log('NotifyAndWait event received:', data);
         state.pendingResponseId = data.id;
         state.parentContext = data.data || {};
-        showStatus('Ready to search. Select products and click "Add to Queue".', 'info');
+        initQueueDrafts();
+        initQuoteCurrency();
+        loadQuoteLineItems();
+        loadCurrentUser();
+        loadOrgCurrency();
+        showStatus(t('status.readyToSearch'), 'info');
     });
 }
 
+// The signed-in Zoho user keys per-user settings such as the table layout,
+// and their locale picks the language and number/date formats
+async function loadCurrentUser() {
+    if (state.currentUser || !ZOHO.CRM?.CONFIG?.getCurrentUser) return;
+
+    try {
+        const response = await ZOHO.CRM.CONFIG.getCurrentUser();
+        state.currentUser = response?.users?.[0] || null;
+    } catch (error) {
+        console.warn('[Zoho] Could not load current user:', error);
+        return;
+    }
+
+    if (state.currentUser) {
+        loadTableLayout();
+        await setLocale(state.currentUser.locale || state.currentUser.language);
+    }
+}
+
 // =====================================================
 // EVENT LISTENERS
 // =====================================================
@@ -129,6 +1053,11 @@ function initEventListeners() {
         mfrSearch.addEventListener('input', debounceManufacturerSearch);
     }
 
+    const universalSearch = document.getElementById('universalSearch');
+    if (universalSearch) {
+        universalSearch.addEventListener('input', updateUniversalSearchHint);
+    }
+
     const skuSearch = document.getElementById('skuSearch');
     if (skuSearch) {
         skuSearch.addEventListener('input', () => {
@@ -140,6 +1069,15 @@ function initEventListeners() {
     if (selectAll) {
         selectAll.addEventListener('change', toggleSelectAll);
     }
+
+    // Virtualized rows are redrawn as the table scrolls or is resized
+    const tableContainer = document.getElementById('tableContainer');
+    if (tableContainer) {
+        tableContainer.addEventListener('scroll', onProductsUserScroll);
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(onProductsScroll).observe(tableContainer);
+        }
+    }
 }
 
 // =====================================================
@@ -164,10 +1102,19 @@ function initResize() {
         if (!isResizing) return;
 
         const deltaY = e.clientY - resizeStartY;
-        const newHeight = Math.max(100, Math.min(1250, resizeStartHeight + deltaY));
-        tableContainer.style.maxHeight = newHeight + 'px';
+        setTableHeight(resizeStartHeight + deltaY);
+    });
+
+    resizeHandle.addEventListener('keydown', (e) => {
+        const step = e.shiftKey ? 100 : RESIZE_KEY_STEP;
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            setTableHeight(tableContainer.offsetHeight + (e.key === 'ArrowDown' ? step : -step));
+        }
     });
 
+    setTableHeight(tableContainer.offsetHeight || 500);
+
     document.addEventListener('mouseup', () => {
         if (isResizing) {
             isResizing = false;
@@ -177,7 +1124,18 @@ function initResize() {
     });
 }
 
-// =====================================================
+function setTableHeight(height) {
+    const tableContainer = document.querySelector('.table-container');
+    const newHeight = Math.max(100, Math.min(1250, height));
+    tableContainer.style.maxHeight = newHeight + 'px';
+
+    const resizeHandle = document.getElementById('resizeHandle');
+    resizeHandle.setAttribute('aria-valuemin', 100);
+    resizeHandle.setAttribute('aria-valuemax', 1250);
+    resizeHandle.setAttribute('aria-valuenow', Math.round(newHeight));
+}
+
+// =====================================================
 // QUEUE PANEL HORIZONTAL RESIZE
 // =====================================================
 function initQueueResize() {
@@ -200,14 +1158,15 @@ function initQueueResize() {
 
         // Dragging left increases width, dragging right decreases
         const deltaX = queueResizeStartX - e.clientX;
-        const newWidth = Math.max(240, Math.min(600, queueResizeStartWidth + deltaX));
-        rightPanel.style.width = newWidth + 'px';
+        setQueueWidth(queueResizeStartWidth + deltaX);
+    });
 
-        // Toggle narrow class for responsive stacking
-        if (newWidth < 300) {
-            rightPanel.classList.add('narrow');
-        } else {
-            rightPanel.classList.remove('narrow');
+    // The handle sits on the queue's left edge, so Left widens the queue
+    resizeHandle.addEventListener('keydown', (e) => {
+        const step = e.shiftKey ? 100 : RESIZE_KEY_STEP;
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            setQueueWidth(rightPanel.offsetWidth + (e.key === 'ArrowLeft' ? step : -step));
         }
     });
 
@@ -220,6 +1179,24 @@ function initQueueResize() {
     });
 }
 
+function setQueueWidth(width) {
+    const rightPanel = document.getElementById('rightPanel');
+    const newWidth = Math.max(240, Math.min(600, width));
+    rightPanel.style.width = newWidth + 'px';
+
+    // Toggle narrow class for responsive stacking
+    if (newWidth < 300) {
+        rightPanel.classList.add('narrow');
+    } else {
+        rightPanel.classList.remove('narrow');
+    }
+
+    const resizeHandle = document.getElementById('queueResizeHandle');
+    resizeHandle.setAttribute('aria-valuemin', 240);
+    resizeHandle.setAttribute('aria-valuemax', 600);
+    resizeHandle.setAttribute('aria-valuenow', Math.round(newWidth));
+}
+
 // =====================================================
 // DRAG AND DROP FOR QUEUE
 // =====================================================
@@ -306,9 +1283,7 @@ function handleDrop(e) {
         const newOrder = [];
         document.querySelectorAll('.queue-item').forEach(item => {
             const partNumber = item.dataset.partNumber;
-            const product = state.queuedProducts.find(p =>
-                (p.ingramPartNumber || p.vendorPartNumber) === partNumber
-            );
+            const product = state.queuedProducts.find(p => getProductKey(p) === partNumber);
             if (product) {
                 newOrder.push(product);
             }
@@ -317,6 +1292,8 @@ function handleDrop(e) {
         state.queuedProducts = newOrder;
         console.log('[Queue] Reordered:', state.queuedProducts.map(p => p.vendorPartNumber));
     }
+
+    autosaveQueueDraft();
 }
 
 function getDragAfterElement(y) {
@@ -383,6 +1360,209 @@ function reorderByGroups() {
     console.log('[Queue] Reordered by groups:', mfrOrder);
 }
 
+// =====================================================
+// KEYBOARD NAVIGATION
+// =====================================================
+// Products table: arrows / Page / Home / End move between rows, Space selects,
+// Enter opens details, A adds to the queue. Queue: arrows move between items,
+// Alt+arrows reorder, Delete removes. Distributor tabs: Left / Right.
+function initKeyboardNavigation() {
+    const productsBody = document.getElementById('productsBody');
+    if (productsBody) {
+        productsBody.addEventListener('keydown', handleProductsKeydown);
+        productsBody.addEventListener('focusin', handleProductsFocus);
+    }
+
+    const queueItems = document.getElementById('queueItems');
+    if (queueItems) {
+        queueItems.addEventListener('keydown', handleQueueKeydown);
+    }
+
+    const tabs = document.querySelector('.distributor-tabs');
+    if (tabs) {
+        tabs.addEventListener('keydown', handleTabsKeydown);
+    }
+}
+
+function handleProductsKeydown(e) {
+    const row = e.target.closest('tr[data-index]');
+    // Keys inside the row's own controls keep their default behaviour
+    if (!row || e.target !== row) return;
+
+    const index = Number(row.dataset.index);
+    const container = document.getElementById('tableContainer');
+    const pageRows = Math.max(1, Math.floor(container.clientHeight / (state.rowHeight || VIRTUAL_ROW_HEIGHT)) - 1);
+
+    switch (e.key) {
+        case 'ArrowDown':
+            focusProductRow(index + 1);
+            break;
+        case 'ArrowUp':
+            focusProductRow(index - 1);
+            break;
+        case 'PageDown':
+            focusProductRow(index + pageRows);
+            break;
+        case 'PageUp':
+            focusProductRow(index - pageRows);
+            break;
+        case 'Home':
+            focusProductRow(0);
+            break;
+        case 'End':
+            focusProductRow(state.currentProducts.length - 1);
+            break;
+        case ' ':
+            toggleFocusedProduct(index);
+            break;
+        case 'Enter':
+            showProductDetails(index);
+            break;
+        case 'a':
+        case 'A':
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            addFocusedToQueue(index);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+// Clicking or tabbing into a row makes it the roving-focus row
+function handleProductsFocus(e) {
+    const row = e.target.closest('tr[data-index]');
+    if (!row) return;
+
+    const index = Number(row.dataset.index);
+    if (index === state.focusedRow) return;
+
+    document.getElementById(`product-row-${state.focusedRow}`)?.setAttribute('tabindex', '-1');
+    row.tabIndex = 0;
+    state.focusedRow = index;
+}
+
+function focusProductRow(index) {
+    const products = state.currentProducts;
+    if (products.length === 0) return;
+
+    index = Math.max(0, Math.min(products.length - 1, index));
+    state.focusedRow = index;
+
+    // Scroll the row into view below the sticky header before rendering it
+    const container = document.getElementById('tableContainer');
+    const rowHeight = state.rowHeight || VIRTUAL_ROW_HEIGHT;
+    const headerHeight = document.getElementById('productsHeaderRow')?.firstElementChild?.offsetHeight || 0;
+    const rowTop = index * rowHeight;
+
+    if (rowTop < container.scrollTop) {
+        container.scrollTop = rowTop;
+    } else if (headerHeight + rowTop + rowHeight > container.scrollTop + container.clientHeight) {
+        container.scrollTop = headerHeight + rowTop + rowHeight - container.clientHeight;
+    }
+
+    state.renderedRange = null;
+    renderVisibleProductRows();
+    document.getElementById(`product-row-${index}`)?.focus({ preventScroll: true });
+    maybeLoadMoreProducts();
+}
+
+function toggleFocusedProduct(index) {
+    const product = state.currentProducts[index];
+    if (!product) return;
+
+    const partNumber = getProductKey(product);
+    if (state.queuedProducts.some(p => getProductKey(p) === partNumber)) {
+        showStatus(t('status.alreadyInQueue', { part: product.vendorPartNumber }), 'info');
+        return;
+    }
+
+    const isChecked = !state.selectedProducts.has(partNumber);
+    toggleProduct(partNumber, isChecked);
+
+    const checkbox = document.querySelector(`#product-row-${index} input[type="checkbox"]`);
+    if (checkbox) checkbox.checked = isChecked;
+}
+
+// With nothing ticked, A queues the focused row on its own
+function addFocusedToQueue(index) {
+    if (state.selectedProducts.size === 0) {
+        const product = state.currentProducts[index];
+        if (!product) return;
+        toggleProduct(getProductKey(product), true);
+    }
+    addSelectedToQueue();
+}
+
+function handleQueueKeydown(e) {
+    const item = e.target.closest('.queue-item');
+    if (!item || e.target !== item) return;
+
+    const partNumber = item.dataset.partNumber;
+    const items = [...document.querySelectorAll('#queueItems .queue-item')];
+    const position = items.indexOf(item);
+
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+        moveQueueItem(partNumber, e.key === 'ArrowUp' ? -1 : 1);
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        items[position + (e.key === 'ArrowUp' ? -1 : 1)]?.focus();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        const next = items[position + 1] || items[position - 1];
+        removeFromQueue(partNumber);
+        if (next) focusQueueItem(next.dataset.partNumber);
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+// Grouped view keeps items inside their manufacturer group
+function moveQueueItem(partNumber, direction) {
+    const products = state.queuedProducts;
+    const from = products.findIndex(p => getProductKey(p) === partNumber);
+    if (from === -1) return;
+
+    const groupOf = (product) => product.vendorName || state.manufacturer || 'Unknown';
+    const group = groupOf(products[from]);
+
+    let to = from + direction;
+    while (state.groupByManufacturer && to >= 0 && to < products.length && groupOf(products[to]) !== group) {
+        to += direction;
+    }
+    if (to < 0 || to >= products.length) return;
+
+    [products[from], products[to]] = [products[to], products[from]];
+    renderQueueItems();
+    focusQueueItem(partNumber);
+
+    const siblings = state.groupByManufacturer ? products.filter(p => groupOf(p) === group) : products;
+    const moved = products[to];
+    showStatus(t('status.queueMoved', {
+        part: moved.vendorPartNumber,
+        position: siblings.indexOf(moved) + 1,
+        total: siblings.length
+    }), 'info');
+}
+
+function focusQueueItem(partNumber) {
+    [...document.querySelectorAll('#queueItems .queue-item')]
+        .find(item => item.dataset.partNumber === partNumber)
+        ?.focus();
+}
+
+// Arrow keys move focus between tabs; Enter / Space switches distributor
+function handleTabsKeydown(e) {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+    const tabs = [...document.querySelectorAll('.tab-btn')];
+    const position = tabs.indexOf(document.activeElement);
+    if (position === -1) return;
+
+    const next = tabs[(position + (e.key === 'ArrowRight' ? 1 : -1) + tabs.length) % tabs.length];
+    next.focus();
+    e.preventDefault();
+}
+
 // =====================================================
 // RAW API TOGGLE
 // =====================================================
@@ -410,63 +1590,185 @@ function toggleGroupByManufacturer() {
 // DISTRIBUTOR SELECTION
 // =====================================================
 function selectDistributor(distributor) {
-    if (DISTRIBUTORS[distributor]?.disabled) {
-        showStatus(`${DISTRIBUTORS[distributor].name} integration coming soon`, 'info');
+    if (!getDistributorAdapter(distributor)) {
+        showStatus(t('status.distributorComingSoon', { name: DISTRIBUTORS[distributor]?.name || distributor }), 'info');
         return;
     }
 
     state.currentDistributor = distributor;
 
     document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.distributor === distributor);
+        const isActive = btn.dataset.distributor === distributor;
+        btn.classList.toggle('active', isActive);
+        btn.setAttribute('aria-selected', isActive);
+        btn.tabIndex = isActive ? 0 : -1;
     });
 
+    populateSkuTypeOptions();
     resetFilters();
-    showStatus(`Switched to ${DISTRIBUTORS[distributor].name}. Search for a manufacturer.`, 'info');
+    showStatus(t('status.distributorSwitched', { name: DISTRIBUTORS[distributor].name }), 'info');
+}
+
+// Tabs without a registered adapter stay clickable (selectDistributor says the
+// integration is coming soon) but are marked aria-disabled
+function syncDistributorTabs() {
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        const distributor = btn.dataset.distributor;
+        const hasAdapter = !!distributorAdapters[distributor];
+        btn.setAttribute('aria-disabled', !hasAdapter);
+        btn.title = hasAdapter ? '' : t('status.distributorComingSoon', { name: DISTRIBUTORS[distributor]?.name || distributor });
+
+        const soonBadge = btn.querySelector('.coming-soon');
+        if (soonBadge) {
+            soonBadge.style.display = hasAdapter ? 'none' : '';
+        }
+    });
+}
+
+function populateSkuTypeOptions() {
+    const select = document.getElementById('skuTypeSelect');
+    const adapter = getDistributorAdapter();
+    if (!select || !adapter) return;
+
+    const currentValue = select.value;
+    select.innerHTML = `<option value="">${t('filter.any')}</option>`;
+    (adapter.skuTypes || []).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.value;
+        option.textContent = formatSKUType(type.value) || type.label;
+        select.appendChild(option);
+    });
+    select.value = currentValue;
 }
 
 // =====================================================
-// PROXY STATUS CHECK
+// PROXY STATUS & SESSION
 // =====================================================
-async function checkProxyStatus() {
+// Session states: checking, connected, expiring, expired, offline, unconfigured.
+// A background health check keeps the header accurate and renews the
+// distributor token shortly before it expires.
+const HEALTH_CHECK_INTERVAL_MS = 60 * 1000;
+const SESSION_EXPIRING_MS = 5 * 60 * 1000;
+
+let healthCheckTimer = null;
+let healthCheckRunning = false;
+let reauthPromise = null;
+
+function setSessionStatus(status) {
+    state.session.status = status;
+    state.isAuthenticated = status === 'connected' || status === 'expiring';
+
     const indicator = document.getElementById('statusIndicator');
     const statusText = document.getElementById('statusText');
+    if (!indicator || !statusText) return;
+
+    indicator.classList.toggle('connected', status === 'connected');
+    indicator.classList.toggle('expiring', status === 'expiring');
+    statusText.textContent = t(`session.${status}`);
+
+    const details = [];
+    if (state.session.expiresAt) details.push(t('session.tokenExpires', { time: formatTime(state.session.expiresAt) }));
+    if (state.session.lastChecked) details.push(t('session.lastChecked', { time: formatTime(state.session.lastChecked) }));
+    statusText.title = details.join(' · ');
+}
+
+// The proxy may report expiry as expiresAt (ISO or epoch ms) or expiresIn (seconds)
+function updateSessionExpiry(data) {
+    if (data?.expiresAt) {
+        const time = typeof data.expiresAt === 'number' ? data.expiresAt : Date.parse(data.expiresAt);
+        state.session.expiresAt = Number.isNaN(time) ? null : time;
+    } else if (data?.expiresIn) {
+        state.session.expiresAt = Date.now() + Number(data.expiresIn) * 1000;
+    } else {
+        state.session.expiresAt = null;
+    }
+}
+
+function getAuthenticatedStatus() {
+    const expiresAt = state.session.expiresAt;
+    if (!expiresAt) return 'connected';
+    if (expiresAt <= Date.now()) return 'expired';
+    return expiresAt - Date.now() <= SESSION_EXPIRING_MS ? 'expiring' : 'connected';
+}
 
+async function checkProxyStatus(silent = false) {
     try {
-        const response = await fetch(`${PROXY_BASE}?action=status`);
-        const data = await response.json();
+        const data = await proxyRequest('status', { reauth: false });
+        state.session.lastChecked = Date.now();
 
         if (data.authenticated) {
-            indicator.classList.add('connected');
-            statusText.textContent = 'Connected';
-            state.isAuthenticated = true;
+            updateSessionExpiry(data);
+            const status = getAuthenticatedStatus();
+            setSessionStatus(status);
+            if (status !== 'connected') await reauthenticate();
         } else if (data.configured) {
-            statusText.textContent = 'Not authenticated';
-            await authenticate();
+            setSessionStatus(state.session.status === 'checking' ? 'checking' : 'expired');
+            await authenticate(silent);
         } else {
-            statusText.textContent = 'Not configured';
-            showStatus('Proxy server not configured. Check credentials.', 'error');
+            setSessionStatus('unconfigured');
+            if (!silent) showStatus(t('status.proxyNotConfigured'), 'error');
         }
     } catch (error) {
-        indicator.classList.remove('connected');
-        statusText.textContent = 'Offline';
-        showStatus('Cannot connect to proxy server.', 'error');
+        setSessionStatus('offline');
+        if (!silent) showStatus(describeProxyError(error, t('context.proxyConnect')), 'error');
     }
 }
 
-async function authenticate() {
+// Returns true once the distributor session is authenticated
+async function authenticate(silent = false) {
     try {
-        const response = await fetch(`${PROXY_BASE}?action=auth`);
-        const data = await response.json();
+        const data = await proxyRequest('auth', { reauth: false });
 
         if (data.success) {
-            document.getElementById('statusIndicator').classList.add('connected');
-            document.getElementById('statusText').textContent = 'Connected';
-            state.isAuthenticated = true;
-            showStatus('Authentication successful. Search for a manufacturer.', 'success');
+            updateSessionExpiry(data);
+            state.session.lastChecked = Date.now();
+            setSessionStatus(getAuthenticatedStatus());
+            if (!silent) showStatus(t('status.authSuccess'), 'success');
+            return true;
         }
+
+        setSessionStatus('expired');
+        if (!silent) showStatus(t('error.withMessage', {
+            context: t('context.auth'),
+            message: t('error.credentialsRejected')
+        }), 'error');
     } catch (error) {
-        showStatus('Authentication failed: ' + error.message, 'error');
+        setSessionStatus(error.type === 'network' || error.type === 'timeout' ? 'offline' : 'expired');
+        if (!silent) showStatus(describeProxyError(error, t('context.auth')), 'error');
+    }
+    return false;
+}
+
+// Requests that fail auth share one re-authentication before being replayed
+function reauthenticate() {
+    if (!reauthPromise) {
+        reauthPromise = authenticate(true).finally(() => {
+            reauthPromise = null;
+        });
+    }
+    return reauthPromise;
+}
+
+function startHealthChecks() {
+    clearInterval(healthCheckTimer);
+    healthCheckTimer = setInterval(runHealthCheck, HEALTH_CHECK_INTERVAL_MS);
+
+    window.addEventListener('offline', () => setSessionStatus('offline'));
+    window.addEventListener('online', runHealthCheck);
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) runHealthCheck();
+    });
+}
+
+async function runHealthCheck() {
+    // Skip while hidden; the visibilitychange handler catches up on return
+    if (healthCheckRunning || document.hidden) return;
+
+    healthCheckRunning = true;
+    try {
+        await checkProxyStatus(true);
+    } finally {
+        healthCheckRunning = false;
     }
 }
 
@@ -483,38 +1785,58 @@ async function searchManufacturers() {
     const select = document.getElementById('manufacturerSelect');
 
     if (searchTerm.length < 2) {
-        select.innerHTML = '<option value="">Type 2+ characters to search...</option>';
+        select.innerHTML = `<option value="">${t('manufacturer.typeToSearch')}</option>`;
         document.getElementById('mfrCount').textContent = '';
         return;
     }
 
-    showStatus(`Searching manufacturers matching "${searchTerm}"...`, 'loading');
+    showStatus(t('status.searchingManufacturers', { term: searchTerm }), 'loading');
 
     try {
-        const response = await fetch(
-            `${PROXY_BASE}?action=manufacturers&search=${encodeURIComponent(searchTerm)}`
+        const distributor = state.currentDistributor;
+        const adapter = getDistributorAdapter();
+        const manufacturers = await cachedRequest(
+            'manufacturers',
+            [distributor, searchTerm.toLowerCase()],
+            () => adapter.searchManufacturers(searchTerm, { channel: 'manufacturers' }),
+            fresh => {
+                // Only redraw if the rep is still looking at the same search
+                const input = document.getElementById('manufacturerSearch').value.trim();
+                if (state.currentDistributor === distributor && input === searchTerm && !state.manufacturer) {
+                    renderManufacturerOptions(fresh);
+                }
+            }
         );
-        const data = await response.json();
-
-        select.innerHTML = '<option value="">-- Select a manufacturer --</option>';
 
-        if (data.manufacturers && data.manufacturers.length > 0) {
-            data.manufacturers.forEach(mfr => {
-                const option = document.createElement('option');
-                option.value = mfr;
-                option.textContent = mfr;
-                select.appendChild(option);
-            });
-            document.getElementById('mfrCount').textContent = `(${data.manufacturers.length})`;
-            showStatus(`Found ${data.manufacturers.length} manufacturers`, 'success');
+        if (renderManufacturerOptions(manufacturers)) {
+            showStatus(t('status.manufacturersFound', { count: manufacturers.length }), 'success');
         } else {
-            select.innerHTML = '<option value="">No manufacturers found</option>';
-            document.getElementById('mfrCount').textContent = '(0)';
-            showStatus('No manufacturers found. Try a different search term.', 'info');
+            showStatus(t('status.noManufacturers'), 'info');
         }
     } catch (error) {
-        showStatus('Error searching: ' + error.message, 'error');
+        if (isAbortError(error)) return;
+        showStatus(describeProxyError(error, t('context.manufacturerSearch')), 'error');
+    }
+}
+
+function renderManufacturerOptions(manufacturers) {
+    const select = document.getElementById('manufacturerSelect');
+    select.innerHTML = `<option value="">${t('manufacturer.select')}</option>`;
+
+    if (manufacturers.length === 0) {
+        select.innerHTML = `<option value="">${t('manufacturer.none')}</option>`;
+        document.getElementById('mfrCount').textContent = '(0)';
+        return false;
     }
+
+    manufacturers.forEach(mfr => {
+        const option = document.createElement('option');
+        option.value = mfr;
+        option.textContent = mfr;
+        select.appendChild(option);
+    });
+    document.getElementById('mfrCount').textContent = `(${formatNumber(manufacturers.length)})`;
+    return true;
 }
 
 // =====================================================
@@ -524,6 +1846,7 @@ async function onManufacturerSelect() {
     const select = document.getElementById('manufacturerSelect');
     state.manufacturer = select.value;
 
+    clearUniversalSearch();
     resetOptionalFilters();
     resetProducts();
 
@@ -543,11 +1866,73 @@ async function onManufacturerSelect() {
         mfrBadge.textContent = state.manufacturer;
     }
 
-    showStatus(`Manufacturer: ${state.manufacturer}. Loading categories...`, 'loading');
+    showStatus(t('status.loadingCategories', { name: state.manufacturer }), 'loading');
 
     await loadFilterOptions('category');
 
-    showStatus(`Manufacturer: ${state.manufacturer}. Use filters below or click Load Products.`, 'success');
+    showStatus(t('status.manufacturerSelected', { name: state.manufacturer }), 'success');
+}
+
+// =====================================================
+// UNIVERSAL SEARCH
+// =====================================================
+// One box for a UPC, a distributor SKU, a vendor part number or free text,
+// searched across all manufacturers. The detected type decides which proxy
+// filter carries the query; results load into the same products table.
+const UNIVERSAL_SEARCH_MIN_LENGTH = 2;
+const UNIVERSAL_SEARCH_TYPES = ['upc', 'sku', 'part', 'text'];
+
+function detectSearchType(query, adapter = getDistributorAdapter()) {
+    const value = query.trim();
+    // UPC-A, EAN-13 and GTIN-14 are all digits
+    if (/^\d{12,14}$/.test(value)) return 'upc';
+    if (adapter?.isDistributorSku?.(value)) return 'sku';
+    // A single token with a digit in it reads as a part number; anything else is keywords
+    if (!/\s/.test(value) && /\d/.test(value)) return 'part';
+    return 'text';
+}
+
+function describeSearchType(type) {
+    const name = DISTRIBUTORS[state.currentDistributor]?.name || state.currentDistributor;
+    return t(`search.type.${UNIVERSAL_SEARCH_TYPES.includes(type) ? type : 'text'}`, { name });
+}
+
+function updateUniversalSearchHint() {
+    const input = document.getElementById('universalSearch');
+    const hint = document.getElementById('universalSearchType');
+    if (!input || !hint) return;
+
+    const query = input.value.trim();
+    hint.textContent = query.length >= UNIVERSAL_SEARCH_MIN_LENGTH ? describeSearchType(detectSearchType(query)) : '';
+}
+
+async function runUniversalSearch() {
+    const query = document.getElementById('universalSearch').value.trim();
+    if (query.length < UNIVERSAL_SEARCH_MIN_LENGTH) {
+        showStatus(t('status.universalSearchTooShort', { count: UNIVERSAL_SEARCH_MIN_LENGTH }), 'error');
+        return;
+    }
+
+    // Manufacturer filters don't apply to an all-manufacturer search
+    state.manufacturer = '';
+    document.getElementById('manufacturerSelect').value = '';
+    document.getElementById('optionalFiltersRow').style.display = 'none';
+    document.getElementById('skuActionsRow').style.display = 'none';
+    resetOptionalFilters();
+
+    state.universalSearch = { query, type: detectSearchType(query) };
+    document.getElementById('selectedMfrBadge').textContent = t('search.allManufacturers');
+    updateUniversalSearchHint();
+
+    await loadProducts(1);
+}
+
+function clearUniversalSearch() {
+    state.universalSearch = null;
+
+    const input = document.getElementById('universalSearch');
+    if (input) input.value = '';
+    updateUniversalSearchHint();
 }
 
 // =====================================================
@@ -561,26 +1946,17 @@ async function loadFilterOptions(filterType) {
 
     state.loadingFilters[filterType] = true;
 
-    let url = `${PROXY_BASE}?vendor=${encodeURIComponent(state.manufacturer)}`;
-    let selectEl, countEl, dataKey;
+    let selectEl, countEl;
 
     switch (filterType) {
         case 'category':
-            url += `&action=categories`;
-            if (state.subcategory) url += `&subCategory=${encodeURIComponent(state.subcategory)}`;
-            if (state.skuType) url += `&type=${encodeURIComponent(state.skuType)}`;
             selectEl = document.getElementById('categorySelect');
             countEl = document.getElementById('catCount');
-            dataKey = 'categories';
             break;
 
         case 'subcategory':
-            url += `&action=subcategories`;
-            if (state.category) url += `&category=${encodeURIComponent(state.category)}`;
-            if (state.skuType) url += `&type=${encodeURIComponent(state.skuType)}`;
             selectEl = document.getElementById('subcategorySelect');
             countEl = document.getElementById('subCatCount');
-            dataKey = 'subcategories';
             break;
 
         default:
@@ -589,42 +1965,56 @@ async function loadFilterOptions(filterType) {
     }
 
     const currentValue = selectEl.value;
-    selectEl.innerHTML = '<option value="">Loading...</option>';
+    selectEl.innerHTML = `<option value="">${t('filter.loading')}</option>`;
 
     try {
-        const response = await fetch(url);
-        const data = await response.json();
-
-        selectEl.innerHTML = '<option value="">-- Any --</option>';
-
-        const items = data[dataKey] || [];
-        if (items.length > 0) {
-            items.forEach(item => {
-                const option = document.createElement('option');
-                option.value = item;
-                option.textContent = item;
-                selectEl.appendChild(option);
-            });
-            countEl.textContent = `(${items.length})`;
-
-            if (currentValue && items.includes(currentValue)) {
-                selectEl.value = currentValue;
+        const adapter = getDistributorAdapter();
+        const filters = getCurrentFilters();
+        const items = await cachedRequest(
+            filterType === 'category' ? 'categories' : 'subcategories',
+            [state.currentDistributor, currentParams],
+            () => adapter.loadFacets(filterType, filters),
+            fresh => {
+                if (state.filterParams[filterType] === currentParams) {
+                    renderFilterOptions(selectEl, countEl, fresh, selectEl.value);
+                }
             }
-        } else {
-            countEl.textContent = '(0)';
-        }
+        );
 
+        renderFilterOptions(selectEl, countEl, items, currentValue);
         state.filterParams[filterType] = currentParams;
 
     } catch (error) {
         console.error(`Error loading ${filterType}:`, error);
-        selectEl.innerHTML = '<option value="">-- Error --</option>';
+        selectEl.innerHTML = `<option value="">${t('filter.error')}</option>`;
     }
 
     state.loadingFilters[filterType] = false;
 }
 
-function formatSKUType(type) {
+function renderFilterOptions(selectEl, countEl, items, currentValue) {
+    selectEl.innerHTML = `<option value="">${t('filter.any')}</option>`;
+
+    if (items.length === 0) {
+        countEl.textContent = '(0)';
+        return;
+    }
+
+    items.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item;
+        option.textContent = item;
+        selectEl.appendChild(option);
+    });
+    countEl.textContent = `(${formatNumber(items.length)})`;
+
+    if (currentValue && items.includes(currentValue)) {
+        selectEl.value = currentValue;
+    }
+}
+
+// Products keep the canonical English type; formatSKUType() is for display only
+function normalizeSKUType(type) {
     switch (type) {
         case 'IM::physical':
         case 'IM::Physical':
@@ -639,29 +2029,30 @@ function formatSKUType(type) {
         case 'Subscription':
             return 'Subscription';
         default:
-            return type || '-';
+            return type || '';
     }
 }
 
-function formatProductClass(code) {
-    const definitions = {
-        'A': 'Stocked in all warehouses',
-        'B': 'Stocked in limited warehouses',
-        'C': 'Stocked in fewer warehouses',
-        'D': 'Discontinued by Ingram',
-        'E': 'Vendor phase-out',
-        'F': 'Contract-specific product',
-        'N': 'New SKU (pre-receipt)',
-        'O': 'Discontinued - liquidation',
-        'S': 'Special order / backorder',
-        'X': 'Direct ship from vendor',
-        'V': 'Discontinued by vendor'
-    };
+function formatSKUType(type) {
+    const normalized = normalizeSKUType(type);
+    if (['Physical', 'Digital', 'Subscription'].includes(normalized)) {
+        return t(`skuType.${normalized.toLowerCase()}`);
+    }
+    return normalized || '-';
+}
 
+const PRODUCT_CLASS_CODES = ['A', 'B', 'C', 'D', 'E', 'F', 'N', 'O', 'S', 'X', 'V'];
+const DISCONTINUED_PRODUCT_CLASSES = ['D', 'E', 'O', 'V'];
+
+function formatProductClass(code) {
     if (!code) return '-';
     const upperCode = code.toUpperCase();
-    const definition = definitions[upperCode];
-    return definition ? `${upperCode} - ${definition}` : code;
+    return PRODUCT_CLASS_CODES.includes(upperCode) ? `${upperCode} - ${t(`productClass.${upperCode}`)}` : code;
+}
+
+function isDiscontinuedProduct(product) {
+    const code = (getProductPricing(product)?.productClass || product.productClass || '').toUpperCase();
+    return product.discontinued === true || DISCONTINUED_PRODUCT_CLASSES.includes(code);
 }
 
 async function onFilterChange(filterType) {
@@ -686,218 +2077,818 @@ async function onFilterChange(filterType) {
 // =====================================================
 // PRODUCTS LOADING
 // =====================================================
+// Results load as one continuous list: loadProducts() starts a listing at a
+// page (1 by default, or a jump-to page) and loadNextPage() appends the next
+// page as the table is scrolled. Only the rows in view are rendered.
+// Quick filters can leave the list shorter than the view, so at most
+// AUTO_LOAD_PAGE_LIMIT pages load without the rep scrolling, changing a
+// filter or pressing "Load more".
+const VIRTUAL_ROW_HEIGHT = 24;
+const VIRTUAL_OVERSCAN = 10;
+const LOAD_MORE_THRESHOLD_PX = 300;
+const AUTO_LOAD_PAGE_LIMIT = 3;
+
 async function loadProducts(page = 1) {
-    if (!state.manufacturer) {
-        showStatus('Please select a manufacturer first', 'error');
+    if (!state.manufacturer && !state.universalSearch) {
+        showStatus(t('status.selectManufacturerFirst'), 'error');
         return;
     }
 
     state.currentPage = page;
     const productsSection = document.getElementById('productsSection');
     productsSection.style.display = 'block';
-    showStatus('Loading products with pricing...', 'loading');
+    showStatus(t('status.loadingProducts'), 'loading');
+
+    const distributor = state.currentDistributor;
+    const filters = getCurrentFilters();
+    const listing = {
+        key: JSON.stringify([distributor, filters]),
+        distributor,
+        filters
+    };
+    state.productsListing = listing;
+    state.loadedPages = new Map();
+    state.loadingMore = false;
+    state.autoLoadsLeft = AUTO_LOAD_PAGE_LIMIT;
+    state.focusedRow = 0;
+    document.getElementById('tableContainer').scrollTop = 0;
 
     try {
-        let url = `${PROXY_BASE}?action=productsWithPricing&vendor=${encodeURIComponent(state.manufacturer)}&page=${page}`;
-        if (state.category) url += `&category=${encodeURIComponent(state.category)}`;
-        if (state.subcategory) url += `&subCategory=${encodeURIComponent(state.subcategory)}`;
-        if (state.skuType) url += `&type=${encodeURIComponent(state.skuType)}`;
-        if (state.skuKeyword && state.skuKeyword.length >= 2) {
-            url += `&keyword=${encodeURIComponent(state.skuKeyword)}`;
-        }
+        const data = await fetchProductPage(listing, page);
+        if (state.productsListing !== listing) return;
 
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.products && data.products.length > 0) {
-            // Store total records for pagination display
-            state.totalRecords = data.pagination?.totalRecords || data.products.length;
-            state.totalPages = data.pagination?.totalPages || 1;
-
-            displayProductsWithPricing(data.products, data.pagination);
+        if (data.products.length > 0) {
+            storeProductPage(listing, page, data);
+            displayProductsWithPricing();
             showStatus('', '');
+            maybeLoadMoreProducts();
         } else {
+            state.pageProducts = [];
+            state.currentProducts = [];
             document.getElementById('productsBody').innerHTML =
-                '<tr><td colspan="5" class="no-results">No products found</td></tr>';
+                `<tr><td colspan="${getVisibleProductColumns().length + 2}" class="no-results">${t('products.none')}</td></tr>`;
             document.getElementById('pagination').innerHTML = '';
-            document.getElementById('productCount').textContent = '0 products';
-            showStatus('No products found with current filters', 'info');
+            document.getElementById('productCount').textContent = t('products.count', { count: 0 });
+            showStatus(t('status.noProducts'), 'info');
         }
     } catch (error) {
-        showStatus('Error loading products: ' + error.message, 'error');
+        if (isAbortError(error)) return;
+        showStatus(describeProxyError(error, t('context.loadProducts')), 'error');
     }
 }
 
-function displayProductsWithPricing(products, pagination) {
-    const tbody = document.getElementById('productsBody');
-    tbody.innerHTML = '';
-
-    const sortedProducts = [...products].sort((a, b) => {
-        const partA = (a.vendorPartNumber || '').toLowerCase();
-        const partB = (b.vendorPartNumber || '').toLowerCase();
-        return partA.localeCompare(partB, undefined, { numeric: true, sensitivity: 'base' });
-    });
+async function loadNextPage() {
+    const listing = state.productsListing;
+    if (!listing || state.loadingMore || state.loadedPages.size === 0) return;
 
-    state.currentProducts = sortedProducts;
-    state.pricingData = {};
+    const nextPage = Math.max(...state.loadedPages.keys()) + 1;
+    if (nextPage > state.totalPages) return;
 
-    sortedProducts.forEach((product, index) => {
-        const partNumber = product.ingramPartNumber || product.vendorPartNumber;
-        const isSelected = state.selectedProducts.has(partNumber);
-        const isQueued = state.queuedProducts.some(p =>
-            (p.ingramPartNumber || p.vendorPartNumber) === partNumber
-        );
+    await addListingPage(listing, nextPage);
+    if (state.productsListing === listing) maybeLoadMoreProducts();
+}
 
-        const pricingData = product.pricingData;
-        const msrp = pricingData?.pricing?.retailPrice;
-        const msrpDisplay = msrp
-            ? `<span class="price-available">$${msrp.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>`
-            : '<span class="price-unavailable">-</span>';
-
-        if (pricingData && product.ingramPartNumber) {
-            state.pricingData[product.ingramPartNumber] = pricingData;
-        }
-
-        const tr = document.createElement('tr');
-        tr.className = isSelected ? 'selected' : '';
-        if (isQueued) tr.classList.add('queued');
-        tr.id = `product-row-${index}`;
-
-        const fullDescription = product.description || '-';
-        // Simplified table: Checkbox, Part Number, Description (with hover tooltip), MSRP, Info
-        tr.innerHTML = `
-            <td class="col-checkbox">
-                <input type="checkbox"
-                       onchange="toggleProduct('${partNumber}', this.checked)"
-                       ${isSelected ? 'checked' : ''}
-                       ${isQueued ? 'disabled title="Already in queue"' : ''}>
-            </td>
-            <td class="col-part"><strong>${product.vendorPartNumber || '-'}</strong></td>
-            <td class="col-desc desc-cell" title="${fullDescription.replace(/"/g, '&quot;')}">${fullDescription}</td>
-            <td class="col-price">${msrpDisplay}</td>
-            <td class="col-action">
-                <button class="info-btn" onclick="showProductDetails(${index})" title="View details">i</button>
-            </td>
-        `;
-        tbody.appendChild(tr);
+// After a jump-to-page, earlier pages are loaded on request
+async function loadPreviousPage() {
+    const listing = state.productsListing;
+    if (!listing || state.loadingMore || state.loadedPages.size === 0) return;
 
-        tr.dataset.product = JSON.stringify(product);
-    });
+    const previousPage = Math.min(...state.loadedPages.keys()) - 1;
+    if (previousPage < 1) return;
 
-    // Use stored total records for accurate count across all pages
-    document.getElementById('productCount').textContent =
-        `${state.totalRecords.toLocaleString()} products`;
+    await addListingPage(listing, previousPage);
+}
 
-    renderPagination(pagination);
-    updateSelectedCount();
+// "Load more" button shown once automatic loading has stopped
+function loadMoreProducts() {
+    state.autoLoadsLeft = AUTO_LOAD_PAGE_LIMIT;
+    loadNextPage();
 }
 
-function renderPagination(pagination) {
-    const paginationDiv = document.getElementById('pagination');
+async function addListingPage(listing, page) {
+    state.loadingMore = true;
+    renderPagination();
 
-    if (!pagination || pagination.totalPages <= 1) {
-        paginationDiv.innerHTML = '';
-        return;
-    }
+    try {
+        const data = await fetchProductPage(listing, page);
+        if (state.productsListing !== listing) return;
 
-    paginationDiv.innerHTML = `
-        <button onclick="loadProducts(${pagination.page - 1})"
-                ${pagination.page === 1 ? 'disabled' : ''} class="btn-secondary btn-small">
-            Prev
-        </button>
-        <span>Page ${pagination.page} of ${pagination.totalPages} (${state.totalRecords.toLocaleString()} total)</span>
-        <button onclick="loadProducts(${pagination.page + 1})"
-                ${pagination.page >= pagination.totalPages ? 'disabled' : ''} class="btn-secondary btn-small">
-            Next
-        </button>
-    `;
+        storeProductPage(listing, page, data);
+        displayProductsWithPricing();
+    } catch (error) {
+        if (!isAbortError(error)) {
+            showStatus(describeProxyError(error, t('context.loadMoreProducts')), 'error');
+        }
+    } finally {
+        if (state.productsListing === listing) {
+            state.loadingMore = false;
+            renderPagination();
+        }
+    }
 }
 
-// =====================================================
-// PRODUCT SELECTION
-// =====================================================
-function toggleProduct(partNumber, isChecked) {
-    const rows = document.querySelectorAll('#productsBody tr');
+function getProductPageParams(listing, page) {
+    return [listing.distributor, listing.filters, page];
+}
 
-    rows.forEach(row => {
-        const productData = row.dataset.product;
-        if (productData) {
-            const product = JSON.parse(productData);
-            const pn = product.ingramPartNumber || product.vendorPartNumber;
-
-            if (pn === partNumber) {
-                if (isChecked) {
-                    state.selectedProducts.set(partNumber, product);
-                    row.classList.add('selected');
-                } else {
-                    state.selectedProducts.delete(partNumber);
-                    row.classList.remove('selected');
-                }
+function fetchProductPage(listing, page) {
+    const adapter = getDistributorAdapter(listing.distributor);
+    const isIdentifierSearch = ['sku', 'part'].includes(listing.filters.searchType) && page === 1;
+
+    return cachedRequest(
+        'productsWithPricing',
+        getProductPageParams(listing, page),
+        () => isIdentifierSearch
+            ? loadIdentifierPage(adapter, listing.filters, { channel: 'products' })
+            : adapter.loadProductPage(listing.filters, page, { channel: 'products' }),
+        fresh => {
+            // Background refresh only applies if that page is still loaded
+            if (state.productsListing === listing && state.loadedPages.has(page)) {
+                storeProductPage(listing, page, fresh);
+                displayProductsWithPricing();
             }
         }
-    });
-
-    updateSelectedCount();
+    );
 }
 
-function toggleSelectAll() {
-    const selectAllChecked = document.getElementById('selectAll').checked;
-    const checkboxes = document.querySelectorAll('#productsBody input[type="checkbox"]:not(:disabled)');
-
-    checkboxes.forEach(cb => {
-        cb.checked = selectAllChecked;
-        const row = cb.closest('tr');
-        const productData = row.dataset.product;
-
-        if (productData) {
-            const product = JSON.parse(productData);
-            const partNumber = product.ingramPartNumber || product.vendorPartNumber;
+// SKU and part number searches show the exact matches when there are any and
+// fall back to the distributor's keyword search otherwise
+async function loadIdentifierPage(adapter, filters, options) {
+    const matches = await adapter.findByIdentifier(filters.keyword, options);
+    if (matches.length === 0) return adapter.loadProductPage(filters, 1, options);
 
-            if (selectAllChecked) {
-                state.selectedProducts.set(partNumber, product);
-                row.classList.add('selected');
-            } else {
-                state.selectedProducts.delete(partNumber);
-                row.classList.remove('selected');
-            }
-        }
-    });
+    return {
+        products: matches,
+        pagination: { totalRecords: matches.length, totalPages: 1 }
+    };
+}
 
-    updateSelectedCount();
+function storeProductPage(listing, page, data) {
+    // Store total records for the count across all pages
+    state.totalRecords = data.pagination?.totalRecords || data.products.length;
+    state.totalPages = data.pagination?.totalPages || 1;
+
+    const pageEntry = responseCache.get(getCacheKey('productsWithPricing', getProductPageParams(listing, page)));
+    primePricingCache(listing.distributor, data.products, pageEntry?.time ?? Date.now());
+    state.loadedPages.set(page, data.products);
+    state.pageProducts = [...state.loadedPages.keys()]
+        .sort((a, b) => a - b)
+        .flatMap(key => state.loadedPages.get(key));
 }
 
-function updateSelectedCount() {
-    const count = state.selectedProducts.size;
-    document.getElementById('selectedCount').textContent = count;
+// Fetch the next page when the list is scrolled near the end (or doesn't fill the view)
+function maybeLoadMoreProducts() {
+    const container = document.getElementById('tableContainer');
+    if (!container || state.loadingMore) return;
 
-    const addToQueueBtn = document.getElementById('addToQueueBtn');
-    if (addToQueueBtn) {
-        addToQueueBtn.disabled = count === 0;
+    const remaining = container.scrollHeight - container.scrollTop - container.clientHeight;
+    if (remaining >= LOAD_MORE_THRESHOLD_PX) return;
+
+    if (state.autoLoadsLeft <= 0) {
+        renderPagination();
+        return;
     }
+    state.autoLoadsLeft--;
+    loadNextPage();
 }
 
-// =====================================================
-// QUEUE MANAGEMENT
-// =====================================================
-function addSelectedToQueue() {
-    const selectedArray = Array.from(state.selectedProducts.values());
+function jumpToPage() {
+    const input = document.getElementById('jumpToPage');
+    const page = parseInt(input?.value, 10);
 
-    if (selectedArray.length === 0) {
-        showStatus('No products selected', 'error');
+    if (!Number.isInteger(page) || page < 1 || page > state.totalPages) {
+        showStatus(t('status.invalidPage', { max: state.totalPages }), 'error');
         return;
     }
+    loadProducts(page);
+}
 
-    let addedCount = 0;
-    selectedArray.forEach(product => {
-        const partNumber = product.ingramPartNumber || product.vendorPartNumber;
-        const alreadyQueued = state.queuedProducts.some(p =>
-            (p.ingramPartNumber || p.vendorPartNumber) === partNumber
-        );
+function getCurrentFilters() {
+    if (state.universalSearch) {
+        const { query, type } = state.universalSearch;
+        return {
+            searchType: type,
+            upc: type === 'upc' ? query : '',
+            keyword: type === 'upc' ? '' : query
+        };
+    }
 
-        if (!alreadyQueued) {
+    return {
+        manufacturer: state.manufacturer,
+        category: state.category,
+        subcategory: state.subcategory,
+        skuType: state.skuType,
+        keyword: state.skuKeyword
+    };
+}
+
+// Rebuilds the filtered, sorted list from every loaded page and redraws the
+// rows in view. Selection and queued state live in state, so they carry
+// across pages and re-renders.
+function displayProductsWithPricing() {
+    const products = state.pageProducts;
+    const visibleProducts = applyQuickFilters(products);
+    state.currentProducts = sortProducts(visibleProducts);
+    state.focusedRow = Math.min(state.focusedRow, Math.max(0, state.currentProducts.length - 1));
+
+    products.forEach(product => {
+        if (product.pricing && product.sku) {
+            state.pricingData[product.sku] = product.pricing;
+            rememberWarehouses(product.distributor, product.pricing);
+        }
+    });
+    if (state.warehousesVisible) renderWarehouseSettings();
+
+    state.renderedRange = null;
+    renderVisibleProductRows();
+
+    // The distributor's total covers all pages but knows nothing of quick filters
+    const hiddenCount = products.length - visibleProducts.length;
+    const productCount = getActiveQuickFilters().length > 0
+        ? t('products.countUnfiltered', { count: state.totalRecords })
+        : t('products.count', { count: state.totalRecords });
+    document.getElementById('productCount').textContent = hiddenCount > 0
+        ? `${productCount} · ${t('products.hiddenByFilters', { count: hiddenCount })}`
+        : productCount;
+
+    renderPagination();
+    updateSelectedCount();
+}
+
+function renderVisibleProductRows() {
+    const tbody = document.getElementById('productsBody');
+    const container = document.getElementById('tableContainer');
+    const products = state.currentProducts;
+    const columns = getVisibleProductColumns();
+
+    if (products.length === 0) {
+        state.renderedRange = null;
+        tbody.innerHTML = `<tr><td colspan="${columns.length + 2}" class="no-results">${t('products.noneMatchQuickFilters')}</td></tr>`;
+        return;
+    }
+
+    // Rows start below the sticky header inside the scroll container
+    const headerHeight = document.getElementById('productsHeaderRow')?.firstElementChild?.offsetHeight || 0;
+    const rowHeight = state.rowHeight || VIRTUAL_ROW_HEIGHT;
+    const scrollTop = Math.max(0, container.scrollTop - headerHeight);
+    const start = Math.max(0, Math.floor(scrollTop / rowHeight) - VIRTUAL_OVERSCAN);
+    const end = Math.min(products.length, Math.ceil((scrollTop + container.clientHeight) / rowHeight) + VIRTUAL_OVERSCAN);
+
+    if (state.renderedRange && state.renderedRange.start === start && state.renderedRange.end === end) return;
+    state.renderedRange = { start, end };
+
+    const hadFocus = tbody.contains(document.activeElement);
+    document.getElementById('productsTable').setAttribute('aria-rowcount', products.length + 1);
+
+    tbody.innerHTML = '';
+    tbody.appendChild(createSpacerRow(start * rowHeight));
+    for (let index = start; index < end; index++) {
+        tbody.appendChild(createProductRow(products[index], index, columns));
+    }
+    tbody.appendChild(createSpacerRow((products.length - end) * rowHeight));
+
+    // Keep one row reachable with Tab even when the focused row is scrolled away
+    if (state.focusedRow < start || state.focusedRow >= end) {
+        tbody.querySelector('tr[data-index]').tabIndex = 0;
+    } else if (hadFocus) {
+        document.getElementById(`product-row-${state.focusedRow}`)?.focus({ preventScroll: true });
+    }
+
+    // Measure the real row height once so the spacers line up with the rows
+    if (!state.rowHeight) {
+        const measured = tbody.querySelector('tr[data-index] td')?.offsetHeight;
+        if (measured) {
+            state.rowHeight = measured;
+            state.renderedRange = null;
+            renderVisibleProductRows();
+        }
+    }
+}
+
+function createSpacerRow(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'virtual-spacer';
+    tr.setAttribute('aria-hidden', 'true');
+    tr.innerHTML = `<td style="height: ${height}px"></td>`;
+    return tr;
+}
+
+function createProductRow(product, index, columns) {
+    const partNumber = getProductKey(product);
+    const isSelected = state.selectedProducts.has(partNumber);
+    const isQueued = state.queuedProducts.some(p => getProductKey(p) === partNumber);
+    const quoteLine = findQuoteLine(product);
+
+    const tr = document.createElement('tr');
+    tr.className = isSelected ? 'selected' : '';
+    if (isQueued) tr.classList.add('queued');
+    if (quoteLine) tr.classList.add('on-quote');
+    tr.id = `product-row-${index}`;
+
+    // Roving focus: only the focused row is in the tab order
+    tr.setAttribute('role', 'row');
+    tr.setAttribute('aria-rowindex', index + 2);
+    tr.setAttribute('aria-selected', isSelected);
+    tr.tabIndex = index === state.focusedRow ? 0 : -1;
+    tr.dataset.index = index;
+
+    // Checkbox, the user's chosen columns, then the action buttons
+    tr.innerHTML = `
+        <td class="col-checkbox">
+            <input type="checkbox" tabindex="-1" aria-label="${t('products.selectPart', { part: product.vendorPartNumber || partNumber })}"
+                   onchange="toggleProduct('${partNumber}', this.checked)"
+                   ${isSelected ? 'checked' : ''}
+                   ${isQueued ? `disabled title="${t('products.alreadyInQueue')}"` : ''}>
+        </td>
+        ${columns.map(column => column.render(product, { quoteLine })).join('')}
+        <td class="col-action">
+            <button class="info-btn" tabindex="-1" onclick="showProductDetails(${index})" title="${t('products.viewDetails')}" aria-label="${t('products.viewDetails')}">i</button>
+            <button class="compare-btn" tabindex="-1" onclick="compareProductSources(${index})" title="${t('products.compareDistributors')}" aria-label="${t('products.compareDistributors')}">&#8644;</button>
+        </td>
+    `;
+    tr.querySelectorAll('td').forEach(td => td.setAttribute('role', 'gridcell'));
+    return tr;
+}
+
+// Rows only carry their index into state.currentProducts
+function getRowProduct(row) {
+    return row.dataset.index !== undefined ? state.currentProducts[Number(row.dataset.index)] || null : null;
+}
+
+// Scroll events come from the rep (wheel, drag, keyboard); resizes and
+// programmatic re-renders call onProductsScroll without one
+function onProductsUserScroll() {
+    state.autoLoadsLeft = AUTO_LOAD_PAGE_LIMIT;
+    onProductsScroll();
+}
+
+function onProductsScroll() {
+    if (state.scrollFrame) return;
+
+    state.scrollFrame = requestAnimationFrame(() => {
+        state.scrollFrame = null;
+        if (state.currentProducts.length > 0) renderVisibleProductRows();
+        maybeLoadMoreProducts();
+    });
+}
+
+function renderPagination() {
+    const paginationDiv = document.getElementById('pagination');
+    const loadedPages = [...state.loadedPages.keys()];
+
+    if (loadedPages.length === 0) {
+        paginationDiv.innerHTML = '';
+        return;
+    }
+
+    const firstPage = Math.min(...loadedPages);
+    const lastPage = Math.max(...loadedPages);
+    const pageRange = firstPage === lastPage
+        ? t('pagination.page', { page: firstPage, total: state.totalPages })
+        : t('pagination.pages', { first: firstPage, last: lastPage, total: state.totalPages });
+    const status = state.loadingMore
+        ? t('pagination.loadingMore')
+        : lastPage >= state.totalPages ? t('pagination.allLoaded')
+            : state.autoLoadsLeft > 0 ? t('pagination.scrollForMore') : '';
+
+    paginationDiv.innerHTML = `
+        ${firstPage > 1 && !state.loadingMore ? `
+            <button onclick="loadPreviousPage()" class="btn-secondary btn-small">${t('pagination.loadPage', { page: firstPage - 1 })}</button>
+        ` : ''}
+        <span>${t('pagination.loaded', { loaded: state.pageProducts.length, total: state.totalRecords, range: pageRange })}${status ? ` &middot; ${status}` : ''}</span>
+        ${!status && !state.loadingMore ? `
+            <button onclick="loadMoreProducts()" class="btn-secondary btn-small">${t('pagination.loadMore')}</button>
+        ` : ''}
+        ${state.totalPages > 1 ? `
+            <div class="page-jump">
+                <input type="number" id="jumpToPage" min="1" max="${state.totalPages}" placeholder="${t('pagination.pagePlaceholder')}"
+                       onkeydown="if (event.key === 'Enter') jumpToPage()">
+                <button onclick="jumpToPage()" class="btn-secondary btn-small">${t('pagination.go')}</button>
+            </div>
+        ` : ''}
+    `;
+}
+
+// =====================================================
+// PRODUCT TABLE COLUMNS
+// =====================================================
+// Checkbox and action columns are always shown; fixed columns can't be hidden.
+// sortValue returns a string or number; missing values sort last.
+const PRODUCT_COLUMNS = {
+    part: {
+        labelKey: 'column.part',
+        className: 'col-part',
+        width: 'auto',
+        fixed: true,
+        sortValue: p => p.vendorPartNumber,
+        render: (p, { quoteLine }) => `
+            <td class="col-part">
+                <strong>${p.vendorPartNumber || '-'}</strong>
+                ${quoteLine ? `<span class="on-quote-badge" title="${t('products.onQuoteTitle', { quantity: quoteLine.quantity ?? '-' })}">${t('products.onQuote')}</span>` : ''}
+            </td>`
+    },
+    manufacturer: {
+        labelKey: 'column.manufacturer',
+        className: 'col-mfr',
+        width: 'auto',
+        sortValue: p => p.vendorName,
+        render: p => `<td class="col-mfr">${p.vendorName || '-'}</td>`
+    },
+    description: {
+        labelKey: 'column.description',
+        className: 'col-desc',
+        width: 'minmax(0, 1fr)',
+        fixed: true,
+        sortValue: p => p.description,
+        render: p => {
+            const fullDescription = p.description || '-';
+            return `<td class="col-desc desc-cell" title="${fullDescription.replace(/"/g, '&quot;')}">${fullDescription}</td>`;
+        }
+    },
+    msrp: {
+        labelKey: 'column.msrp',
+        className: 'col-price',
+        width: 'auto',
+        sortValue: p => p.pricing?.msrp,
+        render: p => `<td class="col-price">${renderPriceCell(p.pricing?.msrp, getPricingCurrency(p.pricing))}</td>`
+    },
+    cost: {
+        labelKey: 'column.cost',
+        className: 'col-price',
+        width: 'auto',
+        sortValue: p => p.pricing?.cost,
+        render: p => `<td class="col-price">${renderPriceCell(p.pricing?.cost, getPricingCurrency(p.pricing))}</td>`
+    },
+    availability: {
+        labelKey: 'column.availability',
+        className: 'col-num',
+        width: 'auto',
+        sortValue: p => p.pricing?.availability?.total,
+        render: p => {
+            const total = p.pricing?.availability?.total;
+            if (total === null || total === undefined) {
+                return '<td class="col-num"><span class="price-unavailable">-</span></td>';
+            }
+            return `<td class="col-num ${total > 0 ? 'stock-available' : 'stock-none'}">${formatNumber(total)}</td>`;
+        }
+    },
+    preferredStock: {
+        labelKey: 'column.preferredStock',
+        className: 'col-num',
+        width: 'auto',
+        sortValue: p => getPreferredStock(p)?.available,
+        render: p => {
+            const stock = getPreferredStock(p);
+            if (!stock) {
+                const hint = t(state.preferredWarehouses.length > 0 ? 'warehouses.noData' : 'warehouses.nonePreferred');
+                return `<td class="col-num" title="${hint}"><span class="price-unavailable">-</span></td>`;
+            }
+            const backorder = stock.backordered > 0
+                ? ` <span class="backorder-note">${t('warehouses.backorderedShort', { quantity: stock.backordered })}</span>`
+                : '';
+            return `<td class="col-num ${stock.available > 0 ? 'stock-available' : 'stock-none'}" title="${describePreferredStock(stock)}">${formatNumber(stock.available)}${backorder}</td>`;
+        }
+    },
+    skuType: {
+        labelKey: 'column.skuType',
+        className: 'col-flag',
+        width: 'auto',
+        sortValue: p => formatSKUType(p.skuType),
+        render: p => `<td class="col-flag">${formatSKUType(p.skuType)}</td>`
+    },
+    productClass: {
+        labelKey: 'column.productClass',
+        className: 'col-flag',
+        width: 'auto',
+        sortValue: p => p.pricing?.productClass || p.productClass,
+        render: p => {
+            const code = p.pricing?.productClass || p.productClass;
+            return `<td class="col-flag" title="${formatProductClass(code)}">${code || '-'}</td>`;
+        }
+    },
+    authorized: {
+        labelKey: 'column.authorized',
+        className: 'col-flag',
+        width: 'auto',
+        sortValue: p => (p.authorized || p.pricing?.authorized ? 'Yes' : 'No'),
+        render: p => `<td class="col-flag">${p.authorized || p.pricing?.authorized ? t('common.yes') : `<span class="flag-warning">${t('common.no')}</span>`}</td>`
+    },
+    discontinued: {
+        labelKey: 'column.discontinued',
+        className: 'col-flag',
+        width: 'auto',
+        sortValue: p => (p.discontinued ? 'Yes' : ''),
+        render: p => `<td class="col-flag">${p.discontinued ? `<span class="flag-warning">${t('common.yes')}</span>` : '-'}</td>`
+    }
+};
+
+const DEFAULT_PRODUCT_COLUMNS = ['part', 'description', 'msrp'];
+const DEFAULT_PRODUCT_SORT = { column: 'part', direction: 'asc' };
+const TABLE_LAYOUT_STORAGE_PREFIX = 'productLookup.tableLayout.';
+
+// Layouts are saved per Zoho user; standalone mode shares one layout
+function getTableLayoutStorageKey() {
+    return TABLE_LAYOUT_STORAGE_PREFIX + (state.currentUser?.id || 'local');
+}
+
+function loadTableLayout() {
+    const saved = readStorage(getTableLayoutStorageKey(), null);
+    const columns = (saved?.columns || DEFAULT_PRODUCT_COLUMNS).filter(key => PRODUCT_COLUMNS[key]);
+
+    // Fixed columns are always present even if an older layout dropped them
+    state.tableColumns = Object.keys(PRODUCT_COLUMNS)
+        .filter(key => PRODUCT_COLUMNS[key].fixed || columns.includes(key));
+    state.tableSort = PRODUCT_COLUMNS[saved?.sort?.column] ? saved.sort : { ...DEFAULT_PRODUCT_SORT };
+
+    renderProductTableHeader();
+    renderColumnChooser();
+}
+
+function saveTableLayout() {
+    writeStorage(getTableLayoutStorageKey(), {
+        columns: state.tableColumns,
+        sort: state.tableSort
+    });
+}
+
+function getVisibleProductColumns() {
+    return state.tableColumns.map(key => PRODUCT_COLUMNS[key]);
+}
+
+function renderProductTableHeader() {
+    const headerRow = document.getElementById('productsHeaderRow');
+    const table = document.getElementById('productsTable');
+    if (!headerRow || !table) return;
+
+    const { column: sortColumn, direction } = state.tableSort;
+    headerRow.innerHTML = `
+        <th class="col-checkbox" role="columnheader" aria-label="${t('column.selected')}"></th>
+        ${state.tableColumns.map(key => {
+            const column = PRODUCT_COLUMNS[key];
+            const isSorted = key === sortColumn;
+            const indicator = isSorted ? (direction === 'asc' ? '&#9650;' : '&#9660;') : '';
+            const ariaSort = isSorted ? (direction === 'asc' ? 'ascending' : 'descending') : 'none';
+            return `
+                <th class="${column.className} sortable ${isSorted ? 'sorted' : ''}" role="columnheader"
+                    aria-sort="${ariaSort}" tabindex="0"
+                    onclick="sortProductsBy('${key}')"
+                    onkeydown="if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); sortProductsBy('${key}'); }"
+                    title="${t('column.sortBy', { label: t(column.labelKey) })}">
+                    ${t(column.labelKey)}<span class="sort-indicator" aria-hidden="true">${indicator}</span>
+                </th>
+            `;
+        }).join('')}
+        <th class="col-action" role="columnheader" aria-label="${t('column.actions')}"></th>
+    `;
+
+    table.style.gridTemplateColumns = [
+        '26px',
+        ...getVisibleProductColumns().map(column => column.width),
+        '48px'
+    ].join(' ');
+}
+
+function sortProducts(products) {
+    const column = PRODUCT_COLUMNS[state.tableSort.column] || PRODUCT_COLUMNS.part;
+    const modifier = state.tableSort.direction === 'desc' ? -1 : 1;
+
+    return [...products].sort((a, b) => {
+        const valA = column.sortValue(a);
+        const valB = column.sortValue(b);
+        const missingA = valA === null || valA === undefined || valA === '';
+        const missingB = valB === null || valB === undefined || valB === '';
+
+        if (missingA || missingB) return missingA === missingB ? 0 : (missingA ? 1 : -1);
+        if (typeof valA === 'number' && typeof valB === 'number') return (valA - valB) * modifier;
+        return String(valA).localeCompare(String(valB), undefined, { numeric: true, sensitivity: 'base' }) * modifier;
+    });
+}
+
+function sortProductsBy(key) {
+    if (state.tableSort.column === key) {
+        state.tableSort.direction = state.tableSort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        state.tableSort = { column: key, direction: 'asc' };
+    }
+
+    saveTableLayout();
+    renderProductTableHeader();
+    refreshProductsTable();
+}
+
+function toggleColumnChooser() {
+    const panel = document.getElementById('columnChooser');
+    if (panel) {
+        panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+    }
+}
+
+function renderColumnChooser() {
+    const list = document.getElementById('columnChooserList');
+    if (!list) return;
+
+    list.innerHTML = Object.entries(PRODUCT_COLUMNS)
+        .filter(([, column]) => !column.fixed)
+        .map(([key, column]) => `
+            <label class="toggle-label">
+                <input type="checkbox" onchange="setColumnVisible('${key}', this.checked)"
+                       ${state.tableColumns.includes(key) ? 'checked' : ''}>
+                <span class="toggle-text">${t(column.labelKey)}</span>
+            </label>
+        `).join('');
+}
+
+function setColumnVisible(key, visible) {
+    const columns = new Set(state.tableColumns);
+    if (visible) {
+        columns.add(key);
+    } else {
+        columns.delete(key);
+    }
+
+    // Keep definition order so columns don't jump around as they're toggled
+    state.tableColumns = Object.keys(PRODUCT_COLUMNS).filter(k => columns.has(k));
+    saveTableLayout();
+    renderProductTableHeader();
+    refreshProductsTable();
+}
+
+function resetTableLayout() {
+    state.tableColumns = [...DEFAULT_PRODUCT_COLUMNS];
+    state.tableSort = { ...DEFAULT_PRODUCT_SORT };
+    saveTableLayout();
+    renderProductTableHeader();
+    renderColumnChooser();
+    refreshProductsTable();
+}
+
+// The quote-currency amount (or the lack of a rate) is shown on hover
+function renderPriceCell(val, currency) {
+    if (!val) return '<span class="price-unavailable">-</span>';
+
+    const quoteCurrency = state.quoteCurrency;
+    let title = '';
+    if (quoteCurrency && quoteCurrency !== currency) {
+        const converted = convertPrice(val, currency, quoteCurrency);
+        title = converted !== null
+            ? t('currency.approx', { price: formatPrice(converted, quoteCurrency) })
+            : t('currency.noRateShort', { source: currency, quote: quoteCurrency });
+    }
+    return `<span class="price-available"${title ? ` title="${title}"` : ''}>${formatPrice(val, currency)}</span>`;
+}
+
+// =====================================================
+// QUICK FILTERS
+// =====================================================
+// Distributor catalog searches have no stock, authorization or price filters,
+// so quick filters narrow the loaded pages client-side. Totals and page counts
+// come from the distributor and are therefore before quick filters.
+const QUICK_FILTER_TESTS = {
+    inStock: p => (p.pricing?.availability?.total ?? 0) > 0 || p.pricing?.availability?.available === true,
+    authorized: p => p.authorized || p.pricing?.authorized === true,
+    notDiscontinued: p => !p.discontinued,
+    minPrice: (p, min) => p.pricing?.msrp != null && p.pricing.msrp >= min,
+    maxPrice: (p, max) => p.pricing?.msrp != null && p.pricing.msrp <= max
+};
+
+function getActiveQuickFilters() {
+    return Object.entries(state.quickFilters)
+        .filter(([, value]) => value !== false && value !== null);
+}
+
+function applyQuickFilters(products) {
+    const activeFilters = getActiveQuickFilters();
+    if (activeFilters.length === 0) return products;
+
+    return products.filter(product =>
+        activeFilters.every(([key, value]) => QUICK_FILTER_TESTS[key](product, value))
+    );
+}
+
+function toggleQuickFilter(key) {
+    setQuickFilter(key, !state.quickFilters[key]);
+}
+
+function setQuickPriceFilter(key, value) {
+    const amount = parseFloat(value);
+    setQuickFilter(key, Number.isFinite(amount) && amount >= 0 ? amount : null);
+}
+
+function setQuickFilter(key, value) {
+    state.autoLoadsLeft = AUTO_LOAD_PAGE_LIMIT;
+    state.quickFilters[key] = value;
+    renderQuickFilters();
+    refreshProductsTable();
+    maybeLoadMoreProducts();
+}
+
+function clearQuickFilters() {
+    state.autoLoadsLeft = AUTO_LOAD_PAGE_LIMIT;
+    state.quickFilters = { inStock: false, authorized: false, notDiscontinued: false, minPrice: null, maxPrice: null };
+    renderQuickFilters();
+    refreshProductsTable();
+    maybeLoadMoreProducts();
+}
+
+function renderQuickFilters() {
+    document.querySelectorAll('.filter-chip[data-filter]').forEach(chip => {
+        chip.classList.toggle('active', state.quickFilters[chip.dataset.filter] === true);
+    });
+
+    const minInput = document.getElementById('quickMinPrice');
+    const maxInput = document.getElementById('quickMaxPrice');
+    if (minInput) minInput.value = state.quickFilters.minPrice ?? '';
+    if (maxInput) maxInput.value = state.quickFilters.maxPrice ?? '';
+
+    const clearBtn = document.getElementById('clearQuickFilters');
+    if (clearBtn) clearBtn.style.display = getActiveQuickFilters().length > 0 ? 'inline' : 'none';
+}
+
+// =====================================================
+// PRODUCT SELECTION
+// =====================================================
+function toggleProduct(partNumber, isChecked) {
+    const product = state.currentProducts.find(p => getProductKey(p) === partNumber);
+    if (isChecked && product) {
+        state.selectedProducts.set(partNumber, product);
+    } else {
+        state.selectedProducts.delete(partNumber);
+    }
+
+    document.querySelectorAll('#productsBody tr[data-index]').forEach(row => {
+        const rowProduct = getRowProduct(row);
+        if (rowProduct && getProductKey(rowProduct) === partNumber) {
+            row.classList.toggle('selected', state.selectedProducts.has(partNumber));
+            row.setAttribute('aria-selected', state.selectedProducts.has(partNumber));
+        }
+    });
+
+    updateSelectedCount();
+}
+
+// Select All covers every loaded product that passes the quick filters,
+// including rows scrolled out of view
+function toggleSelectAll() {
+    const selectAllChecked = document.getElementById('selectAll').checked;
+
+    state.currentProducts.forEach(product => {
+        const partNumber = getProductKey(product);
+        if (state.queuedProducts.some(p => getProductKey(p) === partNumber)) return;
+
+        if (selectAllChecked) {
+            state.selectedProducts.set(partNumber, product);
+        } else {
+            state.selectedProducts.delete(partNumber);
+        }
+    });
+
+    refreshProductsTable();
+    updateSelectedCount();
+}
+
+function updateSelectedCount() {
+    const count = state.selectedProducts.size;
+    document.getElementById('selectedCount').textContent = count;
+
+    const addToQueueBtn = document.getElementById('addToQueueBtn');
+    if (addToQueueBtn) {
+        addToQueueBtn.disabled = count === 0;
+    }
+
+    const compareBtn = document.getElementById('compareSelectedBtn');
+    if (compareBtn) {
+        compareBtn.disabled = count < PRODUCT_COMPARISON_MIN || count > PRODUCT_COMPARISON_MAX;
+    }
+}
+
+// =====================================================
+// QUEUE MANAGEMENT
+// =====================================================
+function addSelectedToQueue(allowQuoteDuplicates = false) {
+    const selectedArray = Array.from(state.selectedProducts.values());
+
+    if (selectedArray.length === 0) {
+        showStatus(t('status.noneSelected'), 'error');
+        return;
+    }
+
+    // Warn before adding a second line for a product the quote already has
+    const onQuote = selectedArray.filter(p => findQuoteLine(p));
+    if (onQuote.length > 0 && !allowQuoteDuplicates) {
+        const parts = onQuote.map(p => p.vendorPartNumber).join(', ');
+        showStatus(`${t('status.alreadyOnQuote', { parts })}
+            <button onclick="addSelectedToQueue(true)" class="btn-secondary btn-tiny">${t('queue.addAnyway')}</button>`, 'warning');
+        return;
+    }
+
+    let addedCount = 0;
+    selectedArray.forEach(product => {
+        const partNumber = getProductKey(product);
+        const alreadyQueued = state.queuedProducts.some(p => getProductKey(p) === partNumber);
+
+        if (!alreadyQueued) {
             // Enrich product with pricing data if available
-            const pricingData = product.pricingData || state.pricingData?.[product.ingramPartNumber];
-            const enrichedProduct = { ...product, pricingData };
+            const enrichedProduct = { ...product, pricing: getProductPricing(product), quantity: 1 };
             state.queuedProducts.push(enrichedProduct);
             addedCount++;
         }
@@ -915,41 +2906,35 @@ function addSelectedToQueue() {
     document.getElementById('selectAll').checked = false;
 
     // Refresh product display to show queued items as disabled
-    if (state.currentProducts.length > 0) {
-        displayProductsWithPricing(state.currentProducts, {
-            totalRecords: state.totalRecords,
-            page: state.currentPage,
-            totalPages: state.totalPages
-        });
-    }
+    refreshProductsTable();
 
     updateQueueUI();
 
     if (addedCount > 0) {
-        showStatus(`Added ${addedCount} product(s) to queue`, 'success');
+        showStatus(t('status.addedToQueue', { count: addedCount }), 'success');
     } else {
-        showStatus('Products already in queue', 'info');
+        showStatus(t('status.productsAlreadyQueued'), 'info');
+    }
+}
+
+function refreshProductsTable() {
+    if (state.pageProducts.length > 0) {
+        displayProductsWithPricing();
     }
 }
 
 function removeFromQueue(partNumber) {
-    state.queuedProducts = state.queuedProducts.filter(p =>
-        (p.ingramPartNumber || p.vendorPartNumber) !== partNumber
-    );
+    state.queuedProducts = state.queuedProducts.filter(p => getProductKey(p) !== partNumber);
     updateQueueUI();
 
     // Re-enable checkbox in products table if visible
     document.querySelectorAll('#productsBody input[type="checkbox"][disabled]').forEach(cb => {
         const row = cb.closest('tr');
-        const productData = row.dataset.product;
-        if (productData) {
-            const product = JSON.parse(productData);
-            const pn = product.ingramPartNumber || product.vendorPartNumber;
-            if (pn === partNumber) {
-                cb.disabled = false;
-                cb.title = '';
-                row.classList.remove('queued');
-            }
+        const product = getRowProduct(row);
+        if (product && getProductKey(product) === partNumber) {
+            cb.disabled = false;
+            cb.title = '';
+            row.classList.remove('queued');
         }
     });
 }
@@ -965,7 +2950,7 @@ function clearQueue() {
         cb.closest('tr').classList.remove('queued');
     });
 
-    showStatus('Queue cleared', 'info');
+    showStatus(t('status.queueCleared'), 'info');
 }
 
 function updateQueueUI() {
@@ -985,12 +2970,13 @@ function updateQueueUI() {
         queueFooter.style.display = 'none';
         clearQueueBtn.style.display = 'none';
         if (queueOptions) queueOptions.style.display = 'none';
+        autosaveQueueDraft();
     } else {
         queueEmpty.style.display = 'none';
         queueList.style.display = 'block';
         queueFooter.style.display = 'block';
         clearQueueBtn.style.display = 'block';
-        if (queueOptions) queueOptions.style.display = 'block';
+        if (queueOptions) queueOptions.style.display = 'flex';
 
         renderQueueItems();
     }
@@ -1000,139 +2986,2165 @@ function renderQueueItems() {
     const queueItems = document.getElementById('queueItems');
     queueItems.innerHTML = '';
 
-    if (state.groupByManufacturer) {
-        // Group products by manufacturer
-        const groups = {};
-        state.queuedProducts.forEach(product => {
-            const mfr = product.vendorName || state.manufacturer || 'Unknown';
-            if (!groups[mfr]) {
-                groups[mfr] = [];
-            }
-            groups[mfr].push(product);
-        });
+    if (state.groupByManufacturer) {
+        // Group products by manufacturer
+        const groups = {};
+        state.queuedProducts.forEach(product => {
+            const mfr = product.vendorName || state.manufacturer || 'Unknown';
+            if (!groups[mfr]) {
+                groups[mfr] = [];
+            }
+            groups[mfr].push(product);
+        });
+
+        // Render grouped
+        Object.keys(groups).sort().forEach(mfr => {
+            // Add manufacturer header (draggable)
+            const header = document.createElement('div');
+            header.className = 'queue-mfr-group';
+            header.textContent = mfr === 'Unknown' ? t('queue.unknownManufacturer') : mfr;
+            header.draggable = true;
+            header.dataset.manufacturer = mfr;
+            queueItems.appendChild(header);
+
+            // Add items for this manufacturer
+            groups[mfr].forEach((product, index) => {
+                queueItems.appendChild(createQueueItemElement(product, index));
+            });
+        });
+    } else {
+        // Render flat list
+        state.queuedProducts.forEach((product, index) => {
+            queueItems.appendChild(createQueueItemElement(product, index));
+        });
+    }
+
+    autosaveQueueDraft();
+}
+
+function createQueueItemElement(product, index) {
+    const partNumber = getProductKey(product);
+    const pricing = getProductPricing(product);
+    const source = DISTRIBUTORS[product.distributor];
+    const quantity = product.quantity || 1;
+    const linePricing = calculateLinePricing(product);
+    const eligibleQty = getSpecialPricingLimit(product.pricing);
+    const quoteLine = findQuoteLine(product);
+    const preferredStock = getPreferredStock(product);
+    const bidWarning = getBidWarning(product, linePricing.bid);
+    const planWarning = getPlanWarning(product, pricing);
+    const eligibilityWarning = [
+        eligibleQty !== null && quantity > eligibleQty
+            ? `<div class="queue-item-warning">${t('queue.specialPricingLimit', { quantity: eligibleQty })}</div>`
+            : '',
+        bidWarning ? `<div class="queue-item-warning">${bidWarning}</div>` : '',
+        planWarning ? `<div class="queue-item-warning">${planWarning}</div>` : '',
+        quoteLine
+            ? `<div class="queue-item-warning">${t('queue.alreadyOnQuote', { quantity: quoteLine.quantity ?? '-' })}</div>`
+            : '',
+        linePricing.currencyMismatch
+            ? `<div class="queue-item-warning">${t('currency.noRate', { source: linePricing.sourceCurrency, quote: state.quoteCurrency })}</div>`
+            : '',
+        preferredStock && quantity > preferredStock.available
+            ? `<div class="queue-item-warning">${t('queue.stockShortfall', { quantity, available: preferredStock.available })}${preferredStock.backordered > 0
+                ? ` ${t('queue.backorderEta', { quantity: preferredStock.backordered, eta: preferredStock.eta ? formatDate(preferredStock.eta) : t('warehouses.noEta') })}`
+                : ''}</div>`
+            : '',
+        isDiscontinuedProduct(product)
+            ? `<div class="queue-item-warning">${product.replacementSku
+                ? `${t('queue.discontinued')} <button class="btn-link queue-item-swap" onclick="swapForReplacement('${partNumber}')">${t('queue.swapForReplacement', { sku: product.replacementSku })}</button>`
+                : t('queue.discontinuedNoReplacement')}</div>`
+            : ''
+    ].join('');
+    const currency = linePricing.currency;
+    const conversionNote = currency !== linePricing.sourceCurrency
+        ? `<div class="queue-item-currency">${t('currency.convertedFrom', {
+            source: linePricing.sourceCurrency,
+            rate: formatNumber(linePricing.exchangeRate, { maximumFractionDigits: 6 }),
+            cost: formatPrice(pricing?.cost ?? null, linePricing.sourceCurrency),
+            msrp: formatPrice(pricing?.msrp ?? null, linePricing.sourceCurrency)
+        })}</div>`
+        : '';
+    const sellDisplay = formatPrice(linePricing.sell, currency);
+    const marginDisplay = linePricing.marginPercent !== null
+        ? formatPercent(linePricing.marginPercent)
+        : '-';
+
+    const li = document.createElement('li');
+    li.className = 'queue-item';
+    if (product.repricing) li.classList.add('repricing');
+    li.draggable = true;
+    li.tabIndex = 0;
+    li.dataset.partNumber = partNumber;
+    li.dataset.index = index;
+    li.setAttribute('aria-label', t('queue.itemLabel', { part: product.vendorPartNumber || partNumber, quantity, price: sellDisplay }));
+
+    // Minimal: drag handle, part number, quantity, source, price, remove button
+    li.innerHTML = `
+        <div class="queue-item-drag">
+            <svg width="9" height="9" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="9" cy="5" r="1"/><circle cx="9" cy="12" r="1"/><circle cx="9" cy="19" r="1"/>
+                <circle cx="15" cy="5" r="1"/><circle cx="15" cy="12" r="1"/><circle cx="15" cy="19" r="1"/>
+            </svg>
+        </div>
+        <div class="queue-item-info">
+            <div class="queue-item-part">${product.vendorPartNumber || '-'}</div>
+            <div class="queue-item-meta" title="${linePricing.rule ? describePricingRule(linePricing.rule) : t('pricing.listPrice')}">
+                ${t('queue.cost', { price: formatPrice(linePricing.cost, currency) })} &middot; ${t('queue.msrp', { price: formatPrice(linePricing.msrp, currency) })} &middot;
+                <span class="${linePricing.margin !== null && linePricing.margin < 0 ? 'margin-negative' : ''}">${t('queue.margin', { margin: marginDisplay })}</span>
+                ${product.targetPrice != null ? `&middot; ${t('queue.target', { price: formatPrice(product.targetPrice, currency) })}` : ''}
+                ${preferredStock ? `&middot; <span title="${describePreferredStock(preferredStock)}">${t('queue.preferredStock', { quantity: preferredStock.available })}</span>` : ''}
+            </div>
+            ${conversionNote}
+            ${renderPlanSelect(product, partNumber, pricing)}
+            ${renderBidSelect(product, partNumber, pricing)}
+            ${eligibilityWarning}
+        </div>
+        <input type="number" class="queue-item-qty" min="1" step="1" value="${quantity}"
+               onchange="setQueueQuantity('${partNumber}', this.value)" title="${t('queue.quantity')}"
+               aria-label="${t('queue.quantityFor', { part: product.vendorPartNumber || partNumber })}">
+        <button class="queue-item-source" onclick="compareQueuedSources('${partNumber}')"
+                title="${t('queue.sourcedFrom', { name: source?.name || product.distributor })}">${source?.code || '?'}</button>
+        <div class="queue-item-price" title="${t('queue.sellPrice')}">${sellDisplay}</div>
+        <button class="queue-item-remove" onclick="removeFromQueue('${partNumber}')" title="${t('queue.remove')}"
+                aria-label="${t('queue.removePart', { part: product.vendorPartNumber || partNumber })}">
+            <svg width="9" height="9" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M18 6 6 18M6 6l12 12"/>
+            </svg>
+        </button>
+    `;
+
+    return li;
+}
+
+function setQueueQuantity(partNumber, value) {
+    const product = state.queuedProducts.find(p => getProductKey(p) === partNumber);
+    if (!product) return;
+
+    const quantity = Math.max(1, parseInt(value, 10) || 1);
+    if (quantity === (product.quantity || 1)) {
+        renderQueueItems();
+        return;
+    }
+
+    product.quantity = quantity;
+    repriceQueueLine(product);
+}
+
+// Re-run pricing at the line's quantity so volume and special pricing apply
+async function repriceQueueLine(product) {
+    const adapter = getDistributorAdapter(product.distributor);
+    if (!adapter) {
+        renderQueueItems();
+        return;
+    }
+
+    const quantity = product.quantity;
+    product.repricing = true;
+    renderQueueItems();
+
+    try {
+        const pricing = await loadCachedPricing(adapter, product.distributor, [product]);
+        // Skip stale responses if the quantity changed again meanwhile
+        if (product.quantity === quantity && pricing[product.sku]) {
+            product.pricing = pricing[product.sku];
+        }
+    } catch (error) {
+        console.error('[Queue] Repricing failed:', error);
+        showStatus(describeProxyError(error, t('context.reprice', { part: product.vendorPartNumber })), 'error');
+    }
+
+    if (product.quantity === quantity) {
+        product.repricing = false;
+        renderQueueItems();
+    }
+}
+
+// Highest quantity covered by the product's special pricing, or null when unlimited
+function getSpecialPricingLimit(pricing) {
+    const limits = (pricing?.discounts || [])
+        .map(d => Number(d.quantity))
+        .filter(q => Number.isFinite(q) && q > 0);
+    return limits.length > 0 ? Math.max(...limits) : null;
+}
+
+function formatQueueProduct(product) {
+    const pricing = getProductPricing(product);
+    const adapter = getDistributorAdapter(product.distributor);
+    const linePricing = calculateLinePricing(product);
+
+    return {
+        Product_Code: product.vendorPartNumber || '',
+        Product_Name: product.description || '',
+        Manufacturer: product.vendorName || state.manufacturer,
+        ...(adapter ? adapter.zohoFields(product) : {}),
+        MSRP: linePricing.msrp,
+        // The product's own retail price; MSRP above is the plan's when one is chosen
+        Product_MSRP: linePricing.productMsrp,
+        Unit_Price: linePricing.sell,
+        Cost_Price: linePricing.cost,
+        Currency: linePricing.currency,
+        Pricing_Currency: linePricing.sourceCurrency,
+        Exchange_Rate: linePricing.exchangeRate,
+        Special_Bid_Number: linePricing.bid?.bidNumber || '',
+        ...formatSubscriptionFields(linePricing.plan),
+        Category: product.category || state.category || '',
+        Subcategory: product.subCategory || state.subcategory || '',
+        UPC: pricing?.upc || product.upc || '',
+        Description: product.longDescription || pricing?.description || '',
+        Last_Sync_Source: DISTRIBUTORS[product.distributor]?.name || 'Ingram Micro',
+        Quantity: product.quantity || 1
+    };
+}
+
+async function submitQueue(allowCurrencyMismatch = false) {
+    if (state.submitting) return;
+    if (state.queuedProducts.length === 0) {
+        showStatus(t('status.queueEmpty'), 'error');
+        return;
+    }
+
+    // Never let lines in another currency land on the quote unnoticed
+    const unconverted = state.queuedProducts.filter(p => calculateLinePricing(p).currencyMismatch);
+    if (unconverted.length > 0 && !allowCurrencyMismatch) {
+        const parts = unconverted.map(p => p.vendorPartNumber).join(', ');
+        showStatus(`${t('status.currencyMismatch', { parts, currency: state.quoteCurrency })}
+            <button onclick="submitQueue(true)" class="btn-secondary btn-tiny">${t('queue.submitAnyway')}</button>`, 'warning');
+        return;
+    }
+
+    const formattedProducts = state.queuedProducts.map(formatQueueProduct);
+
+    // Inside Zoho, show which Products records will be created or updated;
+    // nothing is written until the rep confirms
+    if (typeof ZOHO !== 'undefined' && ZOHO.CRM?.API) {
+        setSubmitting(true);
+        showStatus(t('status.checkingProducts', { count: formattedProducts.length }), 'loading');
+        const plan = await planZohoProductSync(formattedProducts);
+        state.pendingSubmission = { products: formattedProducts, plan, applied: false };
+        setSubmitting(false);
+        showStatus('', '');
+        showSyncSummary(summarizeZohoSync(plan), true);
+        return;
+    }
+
+    closeWithProducts(formattedProducts);
+}
+
+// Blocks a second submit (e.g. a double-click) while Zoho is being queried or written
+function setSubmitting(submitting) {
+    state.submitting = submitting;
+    document.querySelectorAll('#queueFooter button, #syncSummary button').forEach(btn => {
+        btn.disabled = submitting;
+    });
+}
+
+function closeWithProducts(formattedProducts, syncSummary = null) {
+    console.log('Sending queued products to parent:', formattedProducts);
+
+    // Submitted queues no longer need restoring
+    clearAutosavedDraft();
+
+    if (typeof $Client !== 'undefined') {
+        $Client.close({
+            products: formattedProducts,
+            distributor: state.currentDistributor,
+            sync: syncSummary ? {
+                created: syncSummary.created.length,
+                updated: syncSummary.updated.length,
+                unchanged: syncSummary.unchanged.length,
+                failed: syncSummary.failed.length
+            } : null
+        });
+    } else {
+        console.log('Standalone mode - would send:', formattedProducts);
+        showStatus(t('status.queuedStandalone', { count: formattedProducts.length }), 'info');
+    }
+}
+
+// Writes the planned Products records, then returns to the quote. Lines that
+// fail are shown first so the rep can decide whether to go back.
+async function confirmSubmitQueue() {
+    const submission = state.pendingSubmission;
+    if (!submission || state.submitting) return;
+
+    if (!submission.applied) {
+        setSubmitting(true);
+        showStatus(t('status.syncingProducts', { count: submission.products.length }), 'loading');
+        await applyZohoProductSync(submission.plan);
+        submission.applied = true;
+        setSubmitting(false);
+        showStatus('', '');
+
+        const summary = summarizeZohoSync(submission.plan);
+        if (summary.failed.length > 0) {
+            showSyncSummary(summary, false);
+            return;
+        }
+    }
+
+    state.pendingSubmission = null;
+    hideSyncSummary();
+    closeWithProducts(submission.products, summarizeZohoSync(submission.plan));
+}
+
+function cancelSubmitQueue() {
+    if (state.submitting) return;
+    state.pendingSubmission = null;
+    hideSyncSummary();
+}
+
+// =====================================================
+// EXPORT (CSV / JSON / PRINT)
+// =====================================================
+// Exports use the same field map as submitQueue plus cost, availability and
+// special pricing, so a shared file matches what would land on the quote.
+function buildExportRows(products) {
+    return products.map(product => {
+        const pricing = getProductPricing(product);
+        const discounts = pricing?.discounts || [];
+
+        return {
+            ...formatQueueProduct(product),
+            Distributor_SKU: product.sku || '',
+            In_Stock: pricing?.availability?.available ?? null,
+            Available_Qty: pricing?.availability?.total ?? null,
+            Preferred_Warehouse_Qty: getPreferredStock(product)?.available ?? null,
+            Discounts: discounts.map(d => ({
+                Type: d.type,
+                Bid_Number: d.bidNumber,
+                Discount: d.amount,
+                Quantity: d.quantity,
+                Effective: d.effectiveDate,
+                Expires: d.expirationDate
+            }))
+        };
+    });
+}
+
+function exportQueue(format) {
+    if (state.queuedProducts.length === 0) {
+        showStatus(t('status.queueEmpty'), 'error');
+        return;
+    }
+    exportProducts(state.queuedProducts, format, 'queue');
+}
+
+function exportResults(format) {
+    if (state.currentProducts.length === 0) {
+        showStatus(t('status.noResultsToExport'), 'error');
+        return;
+    }
+    exportProducts(state.currentProducts, format, 'search-results');
+}
+
+function exportProducts(products, format, name) {
+    const rows = buildExportRows(products);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    switch (format) {
+        case 'csv':
+            downloadFile(`${name}-${stamp}.csv`, toCsv(rows), 'text/csv');
+            break;
+        case 'json':
+            downloadFile(`${name}-${stamp}.json`, JSON.stringify(rows, null, 2), 'application/json');
+            break;
+        case 'print':
+            printQuoteSheet(rows);
+            return;
+    }
+
+    showStatus(t('status.exported', { count: rows.length, format: format.toUpperCase() }), 'success');
+}
+
+function toCsv(rows) {
+    const flatRows = rows.map(row => ({
+        ...row,
+        Discounts: row.Discounts
+            .map(d => `${d.Bid_Number || d.Type}: ${d.Discount ?? ''}${d.Quantity != null ? ` (qty ${d.Quantity})` : ''}${d.Expires ? ` exp ${d.Expires}` : ''}`)
+            .join('; ')
+    }));
+
+    const columns = [...new Set(flatRows.flatMap(row => Object.keys(row)))];
+    const escapeCell = (val) => {
+        let text = val === null || val === undefined ? '' : String(val);
+        // Spreadsheet apps run text starting with = + - @ as a formula; numbers are safe
+        if (typeof val !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.join(','),
+        ...flatRows.map(row => columns.map(col => escapeCell(row[col])).join(','))
+    ].join('\r\n');
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Opens a print-friendly sheet; the browser's print dialog also saves to PDF
+function printQuoteSheet(rows) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showStatus(t('status.allowPopups'), 'error');
+        return;
+    }
+
+    const groups = {};
+    rows.forEach(row => {
+        const key = state.groupByManufacturer ? (row.Manufacturer || t('queue.unknownManufacturer')) : t('print.products');
+        (groups[key] = groups[key] || []).push(row);
+    });
+
+    const lineTotal = (row) => row.Unit_Price !== null ? row.Unit_Price * row.Quantity : 0;
+    const totalCurrency = state.quoteCurrency || rows[0]?.Currency || DEFAULT_PRICING_CURRENCY;
+    // Lines in another currency are converted for the totals; lines without a
+    // rate are left out of them and listed under the grand total
+    const convertedTotal = (row) => convertPrice(lineTotal(row), row.Currency || totalCurrency, totalCurrency);
+    const sumTotals = (list) => list.reduce((sum, row) => sum + (convertedTotal(row) ?? 0), 0);
+    const grandTotal = sumTotals(rows);
+    const unconverted = rows.filter(row => convertedTotal(row) === null);
+
+    const groupHtml = Object.keys(groups).sort().map(group => {
+        const groupRows = groups[group];
+        const subtotal = sumTotals(groupRows);
+        return `
+            <h2>${escapeHtml(group)}</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${t('print.partNumber')}</th><th>${t('print.description')}</th><th>${t('print.source')}</th>
+                        <th class="num">${t('print.quantity')}</th><th class="num">${t('print.msrp')}</th><th class="num">${t('print.unitPrice')}</th>
+                        <th class="num">${t('print.total')}</th><th class="num">${t('print.available')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${groupRows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.Product_Code)}</td>
+                            <td>${escapeHtml(row.Product_Name)}</td>
+                            <td>${escapeHtml(row.Last_Sync_Source)}</td>
+                            <td class="num">${formatNumber(row.Quantity)}</td>
+                            <td class="num">${formatPrice(row.MSRP, row.Currency)}</td>
+                            <td class="num">${formatPrice(row.Unit_Price, row.Currency)}</td>
+                            <td class="num">${formatPrice(lineTotal(row), row.Currency)}</td>
+                            <td class="num">${row.Available_Qty != null ? formatNumber(row.Available_Qty) : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td colspan="6" class="num">${t('print.subtotal')}</td><td class="num">${formatPrice(subtotal, totalCurrency)}</td><td></td></tr>
+                </tfoot>
+            </table>
+        `;
+    }).join('');
+
+    printWindow.document.write(`<!DOCTYPE html>
+        <html lang="${i18n.language}">
+        <head>
+            <title>${t('print.title')}</title>
+            <style>
+                body { font-family: -apple-system, 'Segoe UI', sans-serif; font-size: 11px; color: #1e293b; margin: 24px; }
+                h1 { font-size: 16px; margin: 0 0 4px; }
+                h2 { font-size: 12px; margin: 18px 0 6px; text-transform: uppercase; letter-spacing: 0.4px; }
+                .meta { color: #64748b; margin-bottom: 12px; }
+                table { width: 100%; border-collapse: collapse; }
+                th, td { padding: 4px 6px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+                th { font-size: 9px; text-transform: uppercase; color: #64748b; }
+                .num { text-align: right; white-space: nowrap; }
+                tfoot td { font-weight: 700; border-bottom: none; }
+                .grand-total { margin-top: 16px; text-align: right; font-size: 13px; font-weight: 700; }
+                .excluded { margin-top: 4px; text-align: right; color: #b45309; }
+            </style>
+        </head>
+        <body>
+            <h1>${t('print.title')}</h1>
+            <div class="meta">${t('products.count', { count: rows.length })} &middot; ${formatDate(new Date())}</div>
+            ${groupHtml}
+            <div class="grand-total">${t('print.grandTotal', { total: formatPrice(grandTotal, totalCurrency) })}</div>
+            ${unconverted.length > 0 ? `
+                <div class="meta excluded">${escapeHtml(t('print.excludedNoRate', {
+                    parts: unconverted.map(row => row.Product_Code).join(', '),
+                    currency: totalCurrency
+                }))}</div>
+            ` : ''}
+        </body>
+        </html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+// =====================================================
+// ZOHO PRODUCTS SYNC
+// =====================================================
+// Fields that belong to the quote line, not to the Products record
+const ZOHO_LINE_ONLY_FIELDS = [
+    'MSRP', 'Product_MSRP', 'Unit_Price', 'Cost_Price', 'Quantity',
+    'Currency', 'Pricing_Currency', 'Exchange_Rate',
+    'Special_Bid_Number',
+    'Subscription_Plan_Id', 'Subscription_Plan', 'Subscription_Resource',
+    'Subscription_Term', 'Subscription_Term_Unit', 'Billing_Period'
+];
+// Fields refreshed on existing Products records when the distributor data differs
+const ZOHO_SYNCED_FIELDS = ['MSRP', 'UPC', 'Description'];
+
+// One plan entry per queue line: { line, record, action, existing, changes, message }
+// where action is created | updated | unchanged | failed
+async function planZohoProductSync(formattedProducts) {
+    const plan = [];
+
+    // Sequential on purpose: keeps us inside Zoho's API concurrency limits
+    for (const line of formattedProducts) {
+        const record = buildZohoProductRecord(line);
+        try {
+            plan.push(planZohoProduct(line, record, await findZohoProduct(record)));
+        } catch (error) {
+            console.error(`[Zoho Sync] Lookup of ${line.Product_Code} failed:`, error);
+            plan.push({ line, record, action: 'failed', message: error.message });
+        }
+    }
+
+    return plan;
+}
+
+function buildZohoProductRecord(line) {
+    const record = {};
+    Object.keys(line).forEach(field => {
+        if (!ZOHO_LINE_ONLY_FIELDS.includes(field)) record[field] = line[field];
+    });
+    // Products records carry the retail price, never a subscription plan's,
+    // and are kept in the org home currency
+    record.MSRP = state.homeCurrency && line.Currency !== state.homeCurrency
+        ? convertPrice(line.Product_MSRP, line.Currency, state.homeCurrency)
+        : line.Product_MSRP;
+    // Without a price (or a rate to convert it) leave the record's MSRP alone
+    if (record.MSRP === null || record.MSRP === undefined) delete record.MSRP;
+    return record;
+}
+
+function planZohoProduct(line, record, existing) {
+    if (!existing) return { line, record, action: 'created' };
+
+    const changes = {};
+    ZOHO_SYNCED_FIELDS.forEach(field => {
+        const value = record[field];
+        if (value === null || value === '') return;
+        if (String(existing[field] ?? '') !== String(value)) changes[field] = value;
+    });
+
+    return {
+        line,
+        record,
+        existing,
+        changes,
+        action: Object.keys(changes).length > 0 ? 'updated' : 'unchanged'
+    };
+}
+
+async function applyZohoProductSync(plan) {
+    for (let i = 0; i < plan.length; i++) {
+        const { line, record } = plan[i];
+        try {
+            // Look again before creating: the record may have been added since the plan
+            if (plan[i].action === 'created' || plan[i].action === 'failed') {
+                plan[i] = planZohoProduct(line, record, await findZohoProduct(record));
+            }
+            line.Product_Id = await applyZohoProduct(plan[i]);
+            line.Sync_Action = plan[i].action;
+        } catch (error) {
+            console.error(`[Zoho Sync] ${line.Product_Code} failed:`, error);
+            plan[i] = { line, record, action: 'failed', message: error.message };
+            line.Product_Id = null;
+            line.Sync_Action = 'failed';
+        }
+    }
+
+    console.log('[Zoho Sync] Summary:', summarizeZohoSync(plan));
+}
+
+async function applyZohoProduct(entry) {
+    if (entry.action === 'created') {
+        const response = await ZOHO.CRM.API.insertRecord({ Entity: 'Products', APIData: entry.record, Trigger: [] });
+        return getZohoResultId(response, 'create');
+    }
+
+    if (entry.action === 'updated') {
+        const response = await ZOHO.CRM.API.updateRecord({
+            Entity: 'Products',
+            APIData: { id: entry.existing.id, ...entry.changes, Last_Sync_Source: entry.record.Last_Sync_Source },
+            Trigger: []
+        });
+        getZohoResultId(response, 'update');
+    }
+
+    return entry.existing.id;
+}
+
+function summarizeZohoSync(plan) {
+    const summary = { created: [], updated: [], unchanged: [], failed: [] };
+    plan.forEach(entry => summary[entry.action].push({
+        code: entry.line.Product_Code,
+        fields: Object.keys(entry.changes || {}),
+        message: entry.message || ''
+    }));
+    return summary;
+}
+
+// Match on Product_Code first, then on the Ingram SKU when we have one
+async function findZohoProduct(record) {
+    const conditions = [];
+    if (record.Product_Code) {
+        conditions.push(`(Product_Code:equals:${escapeZohoCriteria(record.Product_Code)})`);
+    }
+    if (record.Ingram_Micro_SKU) {
+        conditions.push(`(Ingram_Micro_SKU:equals:${escapeZohoCriteria(record.Ingram_Micro_SKU)})`);
+    }
+    if (conditions.length === 0) return null;
+
+    const query = conditions.length > 1 ? `(${conditions.join('or')})` : conditions[0];
+    const response = await ZOHO.CRM.API.searchRecord({ Entity: 'Products', Type: 'criteria', Query: query });
+    const matches = Array.isArray(response?.data) ? response.data : [];
+
+    return matches.find(m => m.Product_Code === record.Product_Code) || matches[0] || null;
+}
+
+function escapeZohoCriteria(value) {
+    return String(value).replace(/([(),\\])/g, '\\$1');
+}
+
+function getZohoResultId(response, operation) {
+    const result = response?.data?.[0];
+    if (result?.code !== 'SUCCESS') {
+        throw new Error(result?.message || t(`error.zoho.${operation}`));
+    }
+    return result.details.id;
+}
+
+// planned: nothing has been written yet, so created/updated read as "to create/update"
+function showSyncSummary(summary, planned) {
+    const panel = document.getElementById('syncSummary');
+    if (!panel) return;
+
+    const listItems = (entries, label) => entries.map(e => `
+        <li><strong>${e.code || '-'}</strong> ${label}${e.fields?.length ? ` (${e.fields.join(', ')})` : ''}${e.message ? `: ${e.message}` : ''}</li>
+    `).join('');
+    const created = planned ? 'sync.toCreate' : 'sync.created';
+    const updated = planned ? 'sync.toUpdate' : 'sync.updated';
+
+    panel.innerHTML = `
+        <div class="sync-summary-counts">
+            <span class="sync-created">${t(`${created}Count`, { count: summary.created.length })}</span>
+            <span class="sync-updated">${t(`${updated}Count`, { count: summary.updated.length })}</span>
+            <span>${t('sync.unchangedCount', { count: summary.unchanged.length })}</span>
+            ${summary.failed.length ? `<span class="sync-failed">${t('sync.failedCount', { count: summary.failed.length })}</span>` : ''}
+        </div>
+        <ul class="sync-summary-list">
+            ${listItems(summary.created, t(created))}
+            ${listItems(summary.updated, t(updated))}
+            ${listItems(summary.failed, t('sync.failed'))}
+        </ul>
+        <div class="sync-summary-actions">
+            <button onclick="cancelSubmitQueue()" class="btn-secondary btn-small">${t('common.back')}</button>
+            <button onclick="confirmSubmitQueue()" class="btn-success btn-small">${t('sync.returnToQuote')}</button>
+        </div>
+    `;
+
+    panel.style.display = 'block';
+    document.getElementById('queueFooter').style.display = 'none';
+}
+
+function hideSyncSummary() {
+    const panel = document.getElementById('syncSummary');
+    if (panel) panel.style.display = 'none';
+    updateQueueUI();
+}
+
+// =====================================================
+// BULK PART NUMBER ENTRY
+// =====================================================
+// Each pasted line is "<part> [quantity]" where part can be a vendor part
+// number, distributor SKU or UPC, separated by spaces, tabs, commas or ;.
+const BULK_LOOKUP_CONCURRENCY = 4;
+
+function toggleBulkEntry() {
+    const panel = document.getElementById('bulkEntryPanel');
+    if (!panel) return;
+
+    const visible = panel.style.display === 'none';
+    panel.style.display = visible ? 'block' : 'none';
+    if (visible) document.getElementById('bulkInput').focus();
+}
+
+function parseBulkInput(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line)
+        .map(line => {
+            const tokens = line.split(/[\s,;]+/).filter(t => t);
+            const last = tokens[tokens.length - 1];
+            const hasQuantity = tokens.length > 1 && /^\d+$/.test(last);
+            return {
+                input: tokens[0],
+                quantity: hasQuantity ? Math.max(1, parseInt(last, 10)) : 1,
+                status: 'pending',
+                candidates: [],
+                selected: null
+            };
+        });
+}
+
+async function runBulkLookup() {
+    const lines = parseBulkInput(document.getElementById('bulkInput').value);
+
+    if (lines.length === 0) {
+        showStatus(t('status.bulkEmpty'), 'error');
+        return;
+    }
+
+    await lookupBulkLines(lines);
+}
+
+async function lookupBulkLines(lines) {
+    const adapter = getDistributorAdapter();
+
+    state.bulkLines = lines;
+    renderBulkResults();
+    showStatus(t('status.bulkLookingUp', { count: lines.length }), 'loading');
+
+    await runWithConcurrency(lines, BULK_LOOKUP_CONCURRENCY, async line => {
+        await lookupBulkLine(line, adapter);
+
+        // A newer lookup may have replaced these lines
+        if (state.bulkLines === lines) renderBulkResults();
+    });
+
+    if (state.bulkLines !== lines) return;
+
+    const counts = countBulkStatuses(lines);
+    showStatus(
+        t('status.bulkSummary', { matched: counts.matched, ambiguous: counts.ambiguous, notFound: counts.notFound + counts.error }),
+        counts.matched === lines.length ? 'success' : 'info'
+    );
+}
+
+async function lookupBulkLine(line, adapter) {
+    line.status = 'pending';
+    line.selected = null;
+    line.message = '';
+
+    try {
+        let candidates = await adapter.findByIdentifier(line.input);
+
+        // A manufacturer hint (from a BOM column) narrows shared part numbers
+        if (candidates.length > 1 && line.manufacturer) {
+            const mfr = line.manufacturer.toLowerCase();
+            const narrowed = candidates.filter(p => {
+                const vendor = p.vendorName.toLowerCase();
+                return vendor && (vendor.includes(mfr) || mfr.includes(vendor));
+            });
+            if (narrowed.length > 0) candidates = narrowed;
+        }
+
+        line.candidates = candidates;
+        if (candidates.length === 1) {
+            line.status = 'matched';
+            line.selected = 0;
+        } else {
+            line.status = candidates.length > 1 ? 'ambiguous' : 'notFound';
+        }
+
+        // Make sure queued lines carry pricing even if the search returned none
+        const unpriced = candidates.filter(p => !p.pricing);
+        if (unpriced.length > 0) {
+            const pricing = await loadCachedPricing(adapter, state.currentDistributor, unpriced);
+            unpriced.forEach(p => { p.pricing = pricing[p.sku] || null; });
+        }
+    } catch (error) {
+        console.error(`[Bulk] Lookup failed for ${line.input}:`, error);
+        line.status = 'error';
+        line.message = error.message;
+    }
+}
+
+// Rep corrected a part number in the review list
+async function retryBulkLine(lineIndex) {
+    const line = state.bulkLines[lineIndex];
+    const input = document.getElementById(`bulkLineInput-${lineIndex}`);
+    if (!line || !input) return;
+
+    const value = input.value.trim();
+    if (!value) return;
+
+    line.input = value;
+    line.status = 'pending';
+    renderBulkResults();
+
+    await lookupBulkLine(line, getDistributorAdapter());
+    renderBulkResults();
+}
+
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    });
+    await Promise.all(runners);
+}
+
+function countBulkStatuses(lines) {
+    const counts = { pending: 0, matched: 0, ambiguous: 0, notFound: 0, error: 0 };
+    lines.forEach(line => counts[line.status]++);
+    return counts;
+}
+
+function chooseBulkCandidate(lineIndex, value) {
+    const line = state.bulkLines[lineIndex];
+    if (!line) return;
+
+    line.selected = value === '' ? null : parseInt(value, 10);
+    renderBulkResults();
+}
+
+function renderBulkResults() {
+    const tbody = document.getElementById('bulkResultsBody');
+    const addBtn = document.getElementById('bulkAddBtn');
+    if (!tbody) return;
+
+    tbody.innerHTML = state.bulkLines.map((line, index) => {
+        let matchCell = '-';
+        if (line.status === 'matched') {
+            const p = line.candidates[line.selected];
+            matchCell = `<strong>${escapeHtml(p.vendorPartNumber)}</strong> ${escapeHtml(p.vendorName)} - ${escapeHtml(p.description)}`;
+        } else if (line.status === 'ambiguous') {
+            matchCell = `
+                <select onchange="chooseBulkCandidate(${index}, this.value)">
+                    <option value="">${t('bulk.chooseOne', { count: line.candidates.length })}</option>
+                    ${line.candidates.map((p, i) => `
+                        <option value="${i}" ${line.selected === i ? 'selected' : ''}>
+                            ${escapeHtml(p.vendorPartNumber)} | ${escapeHtml(p.vendorName)} | ${escapeHtml(p.description)}
+                        </option>
+                    `).join('')}
+                </select>
+            `;
+        } else if (line.status === 'error') {
+            matchCell = escapeHtml(line.message || t('bulk.lookupFailed'));
+        }
+
+        // Unresolved lines can be corrected and looked up again
+        const canRetry = line.status === 'notFound' || line.status === 'error';
+        const enteredCell = canRetry
+            ? `<input type="text" class="bulk-line-input" id="bulkLineInput-${index}" value="${escapeHtml(line.input)}">
+               <button onclick="retryBulkLine(${index})" class="btn-secondary btn-tiny">${t('bulk.retry')}</button>`
+            : escapeHtml(line.input);
+
+        return `
+            <tr class="bulk-${line.status}">
+                <td><span class="bulk-status">${t(`bulk.status.${line.status}`)}</span></td>
+                <td class="bulk-entered">${enteredCell}</td>
+                <td>${escapeHtml(line.manufacturer)}</td>
+                <td class="text-right">${formatNumber(line.quantity)}</td>
+                <td class="text-right">${line.targetPrice != null ? formatPrice(line.targetPrice, state.quoteCurrency || DEFAULT_PRICING_CURRENCY) : ''}</td>
+                <td class="bulk-match">${matchCell}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const resolved = getResolvedBulkLines().length;
+    if (addBtn) {
+        addBtn.disabled = resolved === 0;
+        addBtn.textContent = t('bulk.addToQueue', { count: resolved });
+    }
+    document.getElementById('bulkResults').style.display = state.bulkLines.length > 0 ? 'block' : 'none';
+}
+
+// Matched lines plus ambiguous lines the rep has resolved
+function getResolvedBulkLines() {
+    return state.bulkLines.filter(line =>
+        (line.status === 'matched' || line.status === 'ambiguous') && line.selected !== null
+    );
+}
+
+// Also used by BOM import, whose rows are reviewed as bulk lines
+function addBulkToQueue(allowQuoteDuplicates = false) {
+    const resolved = getResolvedBulkLines();
+    if (resolved.length === 0) return;
+
+    // Same warning as addSelectedToQueue for new lines the quote already has
+    const onQuote = resolved
+        .map(line => line.candidates[line.selected])
+        .filter(product => findQuoteLine(product) &&
+            !state.queuedProducts.some(p => getProductKey(p) === getProductKey(product)));
+    if (onQuote.length > 0 && !allowQuoteDuplicates) {
+        const parts = [...new Set(onQuote.map(p => p.vendorPartNumber))].join(', ');
+        showStatus(`${t('status.alreadyOnQuote', { parts })}
+            <button onclick="addBulkToQueue(true)" class="btn-secondary btn-tiny">${t('queue.addAnyway')}</button>`, 'warning');
+        return;
+    }
+
+    let added = 0;
+    let merged = 0;
+    const repriced = [];
+    resolved.forEach(line => {
+        const product = line.candidates[line.selected];
+        const existing = state.queuedProducts.find(p => getProductKey(p) === getProductKey(product));
+
+        // Repeated part numbers add to the existing line's quantity
+        let queued = existing;
+        if (existing) {
+            existing.quantity = (existing.quantity || 1) + line.quantity;
+            merged++;
+        } else {
+            queued = { ...product, pricing: getProductPricing(product), quantity: line.quantity };
+            if (line.targetPrice != null) queued.targetPrice = line.targetPrice;
+            state.queuedProducts.push(queued);
+            added++;
+        }
+
+        if (queued.quantity > 1) repriced.push(queued);
+    });
+
+    // Keep only what still needs attention
+    state.bulkLines = state.bulkLines.filter(line => !resolved.includes(line));
+    document.getElementById('bulkInput').value = state.bulkLines
+        .map(line => line.quantity > 1 ? `${line.input} ${line.quantity}` : line.input)
+        .join('\n');
+    renderBulkResults();
+
+    updateQueueUI();
+    refreshProductsTable();
+    repriced.forEach(repriceQueueLine);
+    showStatus(merged
+        ? t('status.bulkAddedMerged', { count: added, merged })
+        : t('status.addedToQueue', { count: added }), 'success');
+}
+
+// =====================================================
+// BOM IMPORT (CSV / XLSX)
+// =====================================================
+// Spreadsheet rows are mapped onto bulk lines and resolved through the same
+// lookup and review list as pasted part numbers.
+const BOM_FIELDS = [
+    { key: 'part', labelKey: 'bom.field.part', required: true, guess: /part|sku|mpn|model|upc|item/i },
+    { key: 'manufacturer', labelKey: 'bom.field.manufacturer', guess: /manuf|vendor|brand|mfr|make/i },
+    { key: 'quantity', labelKey: 'bom.field.quantity', guess: /qty|quant/i },
+    { key: 'targetPrice', labelKey: 'bom.field.targetPrice', guess: /price|cost|target/i }
+];
+
+async function onBomFileSelected(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+        const rows = (await readBomFile(file))
+            .filter(row => row.some(cell => String(cell ?? '').trim() !== ''));
+        if (rows.length === 0) {
+            showStatus(t('status.bomNoRows', { file: file.name }), 'error');
+            return;
+        }
+
+        state.bomImport = { fileName: file.name, rows, hasHeader: true, mapping: {} };
+        guessBomMapping();
+        renderBomMapping();
+    } catch (error) {
+        console.error('[BOM] Could not read file:', error);
+        showStatus(t('error.withMessage', { context: t('context.readFile', { file: file.name }), message: error.message }), 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+async function readBomFile(file) {
+    if (/\.(csv|txt)$/i.test(file.name)) {
+        return parseCsv(await file.text());
+    }
+
+    await loadSpreadsheetLibrary();
+
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+}
+
+// SheetJS (vendored, ~1 MB) is only needed for .xlsx / .xls imports, so it is
+// loaded on first use instead of with the widget
+const SPREADSHEET_LIBRARY_SRC = 'js/xlsx.full.min.js';
+let spreadsheetLibrary = null;
+
+function loadSpreadsheetLibrary() {
+    if (typeof XLSX !== 'undefined') return Promise.resolve();
+
+    if (!spreadsheetLibrary) {
+        spreadsheetLibrary = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = SPREADSHEET_LIBRARY_SRC;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                spreadsheetLibrary = null;
+                reject(new Error(t('error.noSpreadsheetSupport')));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return spreadsheetLibrary;
+}
+
+// RFC 4180 style parsing; the delimiter (comma, semicolon or tab) is taken from the first line
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function getBomColumns() {
+    const bom = state.bomImport;
+    const width = Math.max(...bom.rows.map(r => r.length));
+    return Array.from({ length: width }, (_, i) => {
+        const letter = String.fromCharCode(65 + (i % 26));
+        const header = bom.hasHeader ? String(bom.rows[0][i] ?? '').trim() : '';
+        return header ? `${letter}: ${header}` : t('bom.column', { letter });
+    });
+}
+
+function guessBomMapping() {
+    const bom = state.bomImport;
+    const headers = bom.rows[0].map(h => String(h ?? ''));
+    bom.mapping = {};
+
+    BOM_FIELDS.forEach(field => {
+        const index = headers.findIndex((h, i) =>
+            field.guess.test(h) && !Object.values(bom.mapping).includes(i)
+        );
+        bom.mapping[field.key] = index >= 0 ? index : null;
+    });
+
+    // No recognizable headers: assume a plain list with part numbers first
+    if (bom.mapping.part === null) {
+        bom.hasHeader = false;
+        bom.mapping.part = 0;
+    }
+}
+
+function setBomMapping(fieldKey, value) {
+    state.bomImport.mapping[fieldKey] = value === '' ? null : parseInt(value, 10);
+    renderBomMapping();
+}
+
+function setBomHasHeader(checked) {
+    state.bomImport.hasHeader = checked;
+    renderBomMapping();
+}
+
+function renderBomMapping() {
+    const panel = document.getElementById('bomMapping');
+    const bom = state.bomImport;
+    if (!panel || !bom) return;
+
+    const columns = getBomColumns();
+    const dataRows = bom.hasHeader ? bom.rows.length - 1 : bom.rows.length;
+
+    panel.innerHTML = `
+        <div class="bom-mapping-title">
+            <strong>${escapeHtml(bom.fileName)}</strong> &middot; ${t('bom.rows', { count: dataRows })}
+            <label class="toggle-label">
+                <input type="checkbox" ${bom.hasHeader ? 'checked' : ''} onchange="setBomHasHeader(this.checked)">
+                <span class="toggle-text">${t('bom.hasHeader')}</span>
+            </label>
+        </div>
+        <div class="bom-mapping-fields">
+            ${BOM_FIELDS.map(field => `
+                <div class="filter-field">
+                    <label>${t(field.labelKey)}${field.required ? ' *' : ''}</label>
+                    <select onchange="setBomMapping('${field.key}', this.value)">
+                        ${field.required ? '' : `<option value="">${t('bom.none')}</option>`}
+                        ${columns.map((col, i) => `
+                            <option value="${i}" ${bom.mapping[field.key] === i ? 'selected' : ''}>${escapeHtml(col)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        </div>
+        <div class="bulk-actions">
+            <button onclick="cancelBomImport()" class="btn-secondary btn-small">${t('common.cancel')}</button>
+            <button onclick="importBomRows()" class="btn-primary btn-small">${t('bom.lookUpRows', { count: dataRows })}</button>
+        </div>
+    `;
+    panel.style.display = 'block';
+}
+
+function cancelBomImport() {
+    state.bomImport = null;
+    document.getElementById('bomMapping').style.display = 'none';
+}
+
+async function importBomRows() {
+    const bom = state.bomImport;
+    if (!bom) return;
+
+    const { mapping } = bom;
+    const cellAt = (row, key) => mapping[key] === null ? '' : String(row[mapping[key]] ?? '').trim();
+
+    const lines = bom.rows.slice(bom.hasHeader ? 1 : 0)
+        .map(row => {
+            const quantity = parseInt(cellAt(row, 'quantity'), 10);
+            return {
+                input: cellAt(row, 'part'),
+                manufacturer: cellAt(row, 'manufacturer'),
+                quantity: quantity > 0 ? quantity : 1,
+                targetPrice: parseBomPrice(cellAt(row, 'targetPrice')),
+                status: 'pending',
+                candidates: [],
+                selected: null
+            };
+        })
+        .filter(line => line.input);
+
+    if (lines.length === 0) {
+        showStatus(t('status.bomNoParts'), 'error');
+        return;
+    }
+
+    cancelBomImport();
+    await lookupBulkLines(lines);
+}
+
+// Prices arrive as display text ("$1,234.56", "1.234,56 €", "12,50"). With
+// both separators the last one is the decimal point; a lone separator
+// followed by exactly three digits is read with the user's locale. Returns
+// null for anything else that doesn't parse.
+function parseBomPrice(text) {
+    const value = String(text).replace(/[^0-9.,-]/g, '');
+    if (!/\d/.test(value)) return null;
+
+    const lastDot = value.lastIndexOf('.');
+    const lastComma = value.lastIndexOf(',');
+    let decimal = null;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+        const separator = lastDot !== -1 ? '.' : ',';
+        const occurrences = value.split(separator).length - 1;
+        const fraction = value.slice(value.lastIndexOf(separator) + 1);
+        if (occurrences === 1 && fraction.length === 3) {
+            decimal = getLocaleDecimalSeparator() === separator ? separator : null;
+        } else if (occurrences === 1) {
+            decimal = separator;
+        }
+    }
+
+    const thousands = decimal === '.' ? ',' : decimal === ',' ? '.' : /[.,]/g;
+    const normalized = value.split(thousands).join('').replace(decimal || '.', '.');
+    if (!/^-?\d+(\.\d+)?$/.test(normalized)) return null;
+    return parseFloat(normalized);
+}
+
+function getLocaleDecimalSeparator() {
+    return new Intl.NumberFormat(i18n.locale).formatToParts(1.5)
+        .find(part => part.type === 'decimal')?.value || '.';
+}
+
+// =====================================================
+// EXISTING QUOTE LINE ITEMS
+// =====================================================
+// Products already on the quote are matched by Product_Code, which is the
+// vendor part number submitQueue writes.
+async function loadQuoteLineItems() {
+    const ctx = state.parentContext || {};
+    const recordId = getQuoteRecordId();
+    const entity = ctx.Entity || ctx.entity || 'Quotes';
+
+    if (typeof ZOHO === 'undefined' || !recordId || entity !== 'Quotes') return;
+
+    try {
+        const response = await ZOHO.CRM.API.getRecord({ Entity: 'Quotes', RecordID: recordId });
+        const record = response?.data?.[0];
+        const lines = record?.Quoted_Items || record?.Product_Details || [];
+        setQuoteCurrency(record?.Currency, record?.Exchange_Rate);
+        state.quoteValidTill = record?.Valid_Till || '';
+
+        state.quoteLineItems = lines.map(line => {
+            const product = line.Product_Name || line.product || {};
+            return {
+                productId: product.id || '',
+                name: product.name || '',
+                productCode: (line.Product_Code || product.Product_Code || '').trim(),
+                quantity: line.Quantity ?? line.quantity ?? null
+            };
+        });
+
+        console.log('[Quote] Existing line items:', state.quoteLineItems);
+        refreshProductsTable();
+        updateQueueUI();
+    } catch (error) {
+        console.error('[Quote] Error loading quote line items:', error);
+    }
+}
+
+function findQuoteLine(product) {
+    const code = (product.vendorPartNumber || '').toLowerCase();
+    if (!code) return null;
+    return state.quoteLineItems.find(line => line.productCode.toLowerCase() === code) || null;
+}
+
+// =====================================================
+// QUOTE CURRENCY
+// =====================================================
+// Distributor prices are in the pricing response's currency (USD when it
+// isn't given). Queued lines are converted to the quote's currency with the
+// org's Zoho exchange rates (the currencies settings API), the org home
+// currency (1) and the quote's own Exchange_Rate. Lines without a rate keep
+// their currency and are flagged.
+const DEFAULT_PRICING_CURRENCY = 'USD';
+// Zoho has no SDK call for currencies, so they are read through a CRM
+// connection (scope ZohoCRM.settings.currencies.READ, see README.md). The API
+// domain follows the CRM the widget is opened from; set ZOHO_API_DOMAIN
+// (e.g. 'https://www.zohoapis.eu') when it can't be detected.
+const ZOHO_CURRENCIES_CONNECTION = 'zohocrm';
+const ZOHO_CURRENCIES_PATH = '/crm/v2/org/currencies';
+const ZOHO_API_DOMAIN = '';
+// CRM host suffix -> API domain, one per Zoho data center
+const ZOHO_API_DOMAINS = {
+    'zoho.com': 'https://www.zohoapis.com',
+    'zoho.eu': 'https://www.zohoapis.eu',
+    'zoho.in': 'https://www.zohoapis.in',
+    'zoho.com.au': 'https://www.zohoapis.com.au',
+    'zoho.com.cn': 'https://www.zohoapis.com.cn',
+    'zoho.jp': 'https://www.zohoapis.jp',
+    'zoho.sa': 'https://www.zohoapis.sa',
+    'zohocloud.ca': 'https://www.zohoapis.ca'
+};
+
+function initQuoteCurrency() {
+    const ctx = state.parentContext || {};
+    setQuoteCurrency(ctx.Currency || ctx.currency, ctx.Exchange_Rate ?? ctx.exchangeRate);
+}
+
+function setQuoteCurrency(code, exchangeRate) {
+    const currency = normalizeCurrencyCode(code);
+    if (!currency) return;
+
+    state.quoteCurrency = currency;
+    const rate = Number(exchangeRate);
+    if (Number.isFinite(rate) && rate > 0) {
+        state.exchangeRates[currency] = rate;
+    }
+    refreshCurrencyDisplays();
+}
+
+async function loadOrgCurrency() {
+    if (state.homeCurrency || !ZOHO.CRM?.CONFIG?.getOrgInfo) return;
+
+    try {
+        const response = await ZOHO.CRM.CONFIG.getOrgInfo();
+        state.homeCurrency = normalizeCurrencyCode(response?.org?.[0]?.iso_code);
+    } catch (error) {
+        console.warn('[Zoho] Could not load org currency:', error);
+        return;
+    }
+
+    if (state.homeCurrency) {
+        state.exchangeRates[state.homeCurrency] = 1;
+        refreshCurrencyDisplays();
+    }
+    await loadOrgExchangeRates();
+}
+
+// The widget's iframe is opened by the CRM page, so the referrer names the
+// data center (crm.zoho.eu, crm.zohocloud.ca, ...)
+function getZohoApiDomain() {
+    if (ZOHO_API_DOMAIN) return ZOHO_API_DOMAIN;
+
+    let host = '';
+    try {
+        host = new URL(document.referrer).hostname;
+    } catch (error) {
+        return null;
+    }
+    const suffix = Object.keys(ZOHO_API_DOMAINS)
+        .sort((a, b) => b.length - a.length)
+        .find(key => host === key || host.endsWith(`.${key}`));
+    return suffix ? ZOHO_API_DOMAINS[suffix] : null;
+}
+
+// Every active org currency with its rate per 1 home currency. The quote's
+// own Exchange_Rate, when known, still wins for the quote currency.
+async function loadOrgExchangeRates() {
+    if (!ZOHO.CRM?.CONNECTION?.invoke) return;
+
+    const apiDomain = getZohoApiDomain();
+    let currencies;
+    try {
+        if (!apiDomain) throw new Error('Zoho API domain unknown; set ZOHO_API_DOMAIN');
+        const response = await ZOHO.CRM.CONNECTION.invoke(ZOHO_CURRENCIES_CONNECTION, {
+            url: `${apiDomain}${ZOHO_CURRENCIES_PATH}`,
+            method: 'GET'
+        });
+        const body = response?.details?.statusMessage ?? response;
+        currencies = (typeof body === 'string' ? JSON.parse(body) : body)?.currencies;
+        if (!Array.isArray(currencies)) throw new Error(body?.message || 'No currencies in the response');
+    } catch (error) {
+        console.warn('[Zoho] Could not load org exchange rates:', error);
+        showStatus(t('status.exchangeRatesUnavailable', { connection: ZOHO_CURRENCIES_CONNECTION }), 'error');
+        return;
+    }
+
+    currencies.forEach(currency => {
+        const code = normalizeCurrencyCode(currency.iso_code);
+        const rate = currency.is_base ? 1 : Number(currency.exchange_rate);
+        if (!code || currency.is_active === false || !Number.isFinite(rate) || rate <= 0) return;
+        if (code === state.quoteCurrency && state.exchangeRates[code]) return;
+        state.exchangeRates[code] = rate;
+    });
+    refreshCurrencyDisplays();
+}
+
+// Zoho currency fields may hold "CAD" or "Canadian Dollar - CAD"
+function normalizeCurrencyCode(code) {
+    const match = String(code || '').trim().toUpperCase().match(/([A-Z]{3})$/);
+    return match ? match[1] : '';
+}
+
+function getPricingCurrency(pricing) {
+    return normalizeCurrencyCode(pricing?.currency) || DEFAULT_PRICING_CURRENCY;
+}
+
+// Multiplier from one currency to another, or null when Zoho has no rate for either
+function getExchangeRate(from, to) {
+    if (from === to) return 1;
+    const fromRate = state.exchangeRates[from];
+    const toRate = state.exchangeRates[to];
+    return fromRate && toRate ? toRate / fromRate : null;
+}
+
+function convertPrice(val, from, to) {
+    if (val === null || val === undefined) return null;
+    const rate = getExchangeRate(from, to);
+    return rate !== null ? roundPrice(val * rate) : null;
+}
+
+// Products table and details show the distributor's currency; when the quote
+// is in another currency the converted amount is shown alongside
+function formatPriceWithQuote(val, currency) {
+    const price = formatPrice(val, currency);
+    const quoteCurrency = state.quoteCurrency;
+    if (val === null || val === undefined || !quoteCurrency || quoteCurrency === currency) return price;
+
+    const converted = convertPrice(val, currency, quoteCurrency);
+    return converted !== null
+        ? t('currency.withConverted', { price, converted: formatPrice(converted, quoteCurrency) })
+        : price;
+}
+
+function renderQuoteCurrency() {
+    const badge = document.getElementById('quoteCurrency');
+    if (!badge) return;
+
+    badge.style.display = state.quoteCurrency ? 'inline-flex' : 'none';
+    badge.textContent = state.quoteCurrency;
+    badge.title = t('currency.quoteCurrency', { currency: state.quoteCurrency });
+}
+
+function refreshCurrencyDisplays() {
+    renderQuoteCurrency();
+    refreshProductsTable();
+    if (state.queuedProducts.length > 0) renderQueueItems();
+}
+
+// =====================================================
+// QUEUE DRAFTS
+// =====================================================
+// The queue is autosaved per quote record so an accidentally closed popup can
+// be restored. Named drafts are kept separately and can be loaded on any quote.
+const DRAFT_STORAGE_PREFIX = 'productLookup.queueDraft.';
+const NAMED_DRAFTS_STORAGE_KEY = 'productLookup.namedDrafts';
+
+// null when the widget was opened without a quote record (e.g. standalone)
+function getQuoteRecordId() {
+    const ctx = state.parentContext || {};
+    const id = ctx.EntityId ?? ctx.entityId ?? ctx.recordId ?? ctx.quoteId;
+    return (Array.isArray(id) ? id[0] : id) || null;
+}
+
+// Called once the parent context (and so the quote record) is known.
+// Without a record ID there is no quote to key the autosave on, so only
+// named drafts are available.
+function initQueueDrafts() {
+    const recordId = getQuoteRecordId();
+    state.draftKey = recordId ? DRAFT_STORAGE_PREFIX + recordId : null;
+    renderNamedDrafts();
+    if (!state.draftKey) return;
+
+    const draft = readStorage(state.draftKey, null);
+    if (draft?.products?.length > 0 && state.queuedProducts.length === 0) {
+        showDraftRestoreBanner(draft);
+    } else {
+        autosaveQueueDraft();
+    }
+}
+
+// Drop raw API payloads and transient flags before storing
+function serializeQueueProduct(product) {
+    const { raw, repricing, ...rest } = product;
+    return {
+        ...rest,
+        pricing: rest.pricing ? { ...rest.pricing, raw: null } : null
+    };
+}
+
+function autosaveQueueDraft() {
+    // Don't overwrite a draft the rep hasn't decided to restore or discard yet
+    if (!state.draftKey || state.pendingDraft) return;
+
+    if (state.queuedProducts.length === 0) {
+        writeStorage(state.draftKey, null);
+        return;
+    }
+
+    writeStorage(state.draftKey, {
+        savedAt: new Date().toISOString(),
+        products: state.queuedProducts.map(serializeQueueProduct)
+    });
+}
+
+function clearAutosavedDraft() {
+    if (state.draftKey) {
+        writeStorage(state.draftKey, null);
+    }
+}
+
+function showDraftRestoreBanner(draft) {
+    const banner = document.getElementById('draftRestoreBanner');
+    if (!banner) return;
+
+    state.pendingDraft = draft;
+    banner.innerHTML = `
+        <span>${t('drafts.unsubmitted', { savedAt: formatDateTime(draft.savedAt), count: draft.products.length })}</span>
+        <button onclick="restoreAutosavedDraft()" class="btn-accent btn-tiny">${t('drafts.restore')}</button>
+        <button onclick="discardAutosavedDraft()" class="btn-ghost btn-tiny">${t('drafts.discard')}</button>
+    `;
+    banner.style.display = 'flex';
+}
+
+function hideDraftRestoreBanner() {
+    state.pendingDraft = null;
+    const banner = document.getElementById('draftRestoreBanner');
+    if (banner) banner.style.display = 'none';
+}
+
+// Restored lines are added after anything queued since the widget opened
+function restoreAutosavedDraft() {
+    const draft = state.pendingDraft;
+    hideDraftRestoreBanner();
+    if (!draft?.products) return;
+
+    const restored = draft.products.filter(p =>
+        !state.queuedProducts.some(q => getProductKey(q) === getProductKey(p))
+    );
+    applyQueueDraft([...state.queuedProducts, ...restored]);
+    showStatus(t('status.draftRestored', { count: restored.length }), 'success');
+}
+
+function discardAutosavedDraft() {
+    hideDraftRestoreBanner();
+    autosaveQueueDraft();
+}
+
+function applyQueueDraft(products) {
+    state.queuedProducts = products.map(p => ({ ...p }));
+    updateQueueUI();
+    refreshProductsTable();
+}
+
+function toggleQueueDrafts() {
+    state.draftsVisible = !state.draftsVisible;
+    const panel = document.getElementById('draftsPanel');
+    if (panel) {
+        panel.style.display = state.draftsVisible ? 'block' : 'none';
+    }
+    if (state.draftsVisible) renderNamedDrafts();
+}
+
+function saveNamedDraft() {
+    const input = document.getElementById('draftName');
+    const name = input.value.trim();
+
+    if (!name) {
+        showStatus(t('status.draftNameRequired'), 'error');
+        return;
+    }
+    if (state.queuedProducts.length === 0) {
+        showStatus(t('status.draftQueueEmpty'), 'error');
+        return;
+    }
+
+    // Saving under an existing name overwrites that draft
+    const drafts = readStorage(NAMED_DRAFTS_STORAGE_KEY, [])
+        .filter(d => d.name.toLowerCase() !== name.toLowerCase());
+    drafts.unshift({
+        name,
+        quoteId: getQuoteRecordId(),
+        savedAt: new Date().toISOString(),
+        products: state.queuedProducts.map(serializeQueueProduct)
+    });
+    writeStorage(NAMED_DRAFTS_STORAGE_KEY, drafts);
+
+    input.value = '';
+    renderNamedDrafts();
+    showStatus(t('status.draftSaved', { name }), 'success');
+}
+
+function loadNamedDraft(index) {
+    const draft = readStorage(NAMED_DRAFTS_STORAGE_KEY, [])[index];
+    if (!draft) return;
+
+    hideDraftRestoreBanner();
+    applyQueueDraft(draft.products);
+    showStatus(t('status.draftLoaded', { name: draft.name, count: draft.products.length }), 'success');
+}
+
+function deleteNamedDraft(index) {
+    const drafts = readStorage(NAMED_DRAFTS_STORAGE_KEY, []);
+    drafts.splice(index, 1);
+    writeStorage(NAMED_DRAFTS_STORAGE_KEY, drafts);
+    renderNamedDrafts();
+}
+
+function renderNamedDrafts() {
+    const list = document.getElementById('draftsList');
+    if (!list) return;
+
+    const drafts = readStorage(NAMED_DRAFTS_STORAGE_KEY, []);
+    if (drafts.length === 0) {
+        list.innerHTML = `<li class="pricing-rule-empty">${t('drafts.none')}</li>`;
+        return;
+    }
+
+    list.innerHTML = drafts.map((draft, index) => `
+        <li class="pricing-rule">
+            <span class="pricing-rule-text" title="${t('drafts.savedAt', { savedAt: formatDateTime(draft.savedAt) })}">
+                ${draft.name} <span class="draft-count">(${draft.products.length})</span>
+            </span>
+            <button onclick="loadNamedDraft(${index})" class="btn-secondary btn-tiny">${t('drafts.load')}</button>
+            <button class="queue-item-remove" onclick="deleteNamedDraft(${index})" title="${t('drafts.delete')}">
+                <svg width="9" height="9" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6 6 18M6 6l12 12"/>
+                </svg>
+            </button>
+        </li>
+    `).join('');
+}
+
+// =====================================================
+// PRICING RULES (markup / margin)
+// =====================================================
+// A rule prices a line from its cost or MSRP plus a percentage, e.g.
+// { scope: 'category', match: 'Switches', base: 'cost', percent: 12 } or
+// { scope: 'manufacturer', match: 'HP', base: 'msrp', percent: -5 }.
+// The most specific matching rule wins; without any rule lines sell at MSRP.
+const PRICING_RULES_STORAGE_KEY = 'productLookup.pricingRules';
+const PRICING_RULE_SCOPES = ['manufacturer', 'category', 'distributor', 'default'];
+
+function loadPricingRules() {
+    state.pricingRules = readStorage(PRICING_RULES_STORAGE_KEY, []);
+    renderPricingRules();
+}
+
+function savePricingRules() {
+    writeStorage(PRICING_RULES_STORAGE_KEY, state.pricingRules);
+}
+
+function findPricingRule(product) {
+    const manufacturer = (product.vendorName || state.manufacturer || '').toLowerCase();
+    const category = (product.category || '').toLowerCase();
+    const distributorName = (DISTRIBUTORS[product.distributor]?.name || '').toLowerCase();
+
+    const matches = (rule) => {
+        const match = (rule.match || '').toLowerCase();
+        switch (rule.scope) {
+            case 'manufacturer': return match === manufacturer;
+            case 'category': return match === category;
+            case 'distributor': return match === product.distributor || match === distributorName;
+            case 'default': return true;
+            default: return false;
+        }
+    };
+
+    for (const scope of PRICING_RULE_SCOPES) {
+        const rule = state.pricingRules.find(r => r.scope === scope && matches(r));
+        if (rule) return rule;
+    }
+    return null;
+}
+
+// Unit cost, sell price and margin for a queued line
+// Amounts are in the quote's currency when there is a rate for it; otherwise
+// they stay in the pricing currency and currencyMismatch is set
+function calculateLinePricing(product) {
+    const pricing = getProductPricing(product);
+    const sourceCurrency = getPricingCurrency(pricing);
+    const exchangeRate = getExchangeRate(sourceCurrency, state.quoteCurrency || sourceCurrency);
+    const currency = exchangeRate !== null ? (state.quoteCurrency || sourceCurrency) : sourceCurrency;
+    const convert = (val) => (val !== null && exchangeRate !== null && exchangeRate !== 1 ? roundPrice(val * exchangeRate) : val);
+
+    // A chosen special bid takes its discount off the unit cost
+    const bid = getSelectedBid(product);
+    // Subscription lines are priced per unit of the chosen plan
+    const plan = getSelectedPlan(product);
+    const listCost = (plan ? plan.cost : pricing?.cost) ?? null;
+    const cost = convert(listCost !== null && bid?.amount != null ? Math.max(0, roundPrice(listCost - bid.amount)) : listCost);
+    const productMsrp = convert(pricing?.msrp ?? null);
+    const msrp = plan ? convert(plan.msrp ?? null) : productMsrp;
+    const rule = findPricingRule(product);
+
+    let sell = msrp;
+    if (rule) {
+        const base = rule.base === 'cost' ? cost : msrp;
+        sell = base !== null ? roundPrice(base * (1 + rule.percent / 100)) : null;
+    }
+
+    const margin = sell !== null && cost !== null ? roundPrice(sell - cost) : null;
+    const marginPercent = margin !== null && sell > 0 ? (margin / sell) * 100 : null;
+
+    return {
+        cost, msrp, productMsrp, sell, margin, marginPercent, rule, bid, plan,
+        currency,
+        sourceCurrency,
+        exchangeRate,
+        currencyMismatch: exchangeRate === null
+    };
+}
+
+function roundPrice(val) {
+    return Math.round(val * 100) / 100;
+}
+
+function describePricingRule(rule) {
+    const base = t(`pricing.base.${rule.base === 'cost' ? 'cost' : 'msrp'}`);
+    const sign = rule.percent < 0 ? '\u2212' : '+';
+    const target = rule.scope === 'default' ? t('pricing.scope.default') : rule.match;
+    const percent = formatNumber(Math.abs(rule.percent) / 100, { style: 'percent', maximumFractionDigits: 2 });
+    return `${target}: ${base} ${sign} ${percent}`;
+}
+
+function togglePricingRules() {
+    state.pricingRulesVisible = !state.pricingRulesVisible;
+    const panel = document.getElementById('pricingRulesPanel');
+    if (panel) {
+        panel.style.display = state.pricingRulesVisible ? 'block' : 'none';
+    }
+}
+
+function onPricingRuleScopeChange() {
+    const scope = document.getElementById('ruleScope').value;
+    const matchInput = document.getElementById('ruleMatch');
+    matchInput.disabled = scope === 'default';
+    matchInput.placeholder = scope === 'default' ? '' : t(`pricing.matchPlaceholder.${scope}`);
+}
+
+function addPricingRule() {
+    const scope = document.getElementById('ruleScope').value;
+    const match = document.getElementById('ruleMatch').value.trim();
+    const base = document.getElementById('ruleBase').value;
+    const percent = parseFloat(document.getElementById('rulePercent').value);
+
+    if (scope !== 'default' && !match) {
+        showStatus(t(`status.ruleMatchRequired.${scope}`), 'error');
+        return;
+    }
+    if (!Number.isFinite(percent)) {
+        showStatus(t('status.rulePercentRequired'), 'error');
+        return;
+    }
+
+    // One rule per scope + match; adding again replaces it
+    state.pricingRules = state.pricingRules.filter(r =>
+        !(r.scope === scope && (r.match || '').toLowerCase() === match.toLowerCase())
+    );
+    state.pricingRules.push({ scope, match: scope === 'default' ? '' : match, base, percent });
+    savePricingRules();
+
+    document.getElementById('ruleMatch').value = '';
+    document.getElementById('rulePercent').value = '';
+
+    renderPricingRules();
+    renderQueueItems();
+}
+
+function removePricingRule(index) {
+    state.pricingRules.splice(index, 1);
+    savePricingRules();
+    renderPricingRules();
+    renderQueueItems();
+}
+
+function renderPricingRules() {
+    const list = document.getElementById('pricingRulesList');
+    if (!list) return;
+
+    if (state.pricingRules.length === 0) {
+        list.innerHTML = `<li class="pricing-rule-empty">${t('pricing.noRules')}</li>`;
+        return;
+    }
+
+    list.innerHTML = state.pricingRules.map((rule, index) => `
+        <li class="pricing-rule">
+            <span class="pricing-rule-scope">${t(`pricing.scope.${rule.scope}`)}</span>
+            <span class="pricing-rule-text">${describePricingRule(rule)}</span>
+            <button class="queue-item-remove" onclick="removePricingRule(${index})" title="${t('pricing.removeRule')}">
+                <svg width="9" height="9" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6 6 18M6 6l12 12"/>
+                </svg>
+            </button>
+        </li>
+    `).join('');
+}
+
+// =====================================================
+// SPECIAL PRICING BIDS
+// =====================================================
+// A queued line can use one of its product's special bids. The bid's
+// discount comes off the unit cost before markup rules run, and the bid
+// number goes out with the line so it lands on the quote.
+function getAvailableBids(pricing) {
+    return (pricing?.discounts || []).filter(d => d.bidNumber);
+}
+
+function getSelectedBid(product) {
+    if (!product.specialBid) return null;
+    return getAvailableBids(getProductPricing(product)).find(d => d.bidNumber === product.specialBid) || null;
+}
+
+function getQuoteValidTill() {
+    const ctx = state.parentContext || {};
+    return state.quoteValidTill || ctx.Valid_Till || ctx.validTill || '';
+}
+
+// Why the chosen bid can't be relied on, or '' when it's fine
+function getBidWarning(product, bid) {
+    if (!product.specialBid) return '';
+    if (!bid) return t('bids.unavailable', { bid: product.specialBid });
+    if (!bid.expirationDate) return '';
+
+    const expires = new Date(bid.expirationDate);
+    if (Number.isNaN(expires.getTime())) return '';
+    if (expires < new Date()) {
+        return t('bids.expired', { bid: bid.bidNumber, date: formatDate(expires) });
+    }
+
+    const validTill = new Date(getQuoteValidTill());
+    if (!Number.isNaN(validTill.getTime()) && expires < validTill) {
+        return t('bids.expiresBeforeQuote', { bid: bid.bidNumber, date: formatDate(expires), validTill: formatDate(validTill) });
+    }
+    return '';
+}
+
+function describeBid(bid, currency) {
+    const parts = [bid.bidNumber];
+    if (bid.amount != null) parts.push(t('bids.discount', { amount: formatPrice(bid.amount, currency) }));
+    if (bid.quantity != null) parts.push(t('bids.maxQuantity', { quantity: bid.quantity }));
+    if (bid.expirationDate) parts.push(t('bids.expires', { date: formatDate(bid.expirationDate) }));
+    return parts.join(' \u00b7 ');
+}
+
+function renderBidSelect(product, partNumber, pricing) {
+    const bids = getAvailableBids(pricing);
+    if (bids.length === 0 && !product.specialBid) return '';
+
+    const currency = getPricingCurrency(pricing);
+    return `
+        <select class="queue-item-bid" onchange="setQueueBid('${partNumber}', this.value)"
+                aria-label="${t('bids.selectFor', { part: product.vendorPartNumber || partNumber })}">
+            <option value="">${t('bids.none')}</option>
+            ${bids.map(bid => `
+                <option value="${bid.bidNumber}" ${bid.bidNumber === product.specialBid ? 'selected' : ''}>${describeBid(bid, currency)}</option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function setQueueBid(partNumber, bidNumber) {
+    const product = state.queuedProducts.find(p => getProductKey(p) === partNumber);
+    if (!product) return;
+
+    if (bidNumber) {
+        product.specialBid = bidNumber;
+    } else {
+        delete product.specialBid;
+    }
+    renderQueueItems();
+
+    const warning = getBidWarning(product, getSelectedBid(product));
+    if (warning) {
+        showStatus(`${product.vendorPartNumber}: ${warning}`, 'warning');
+    } else if (bidNumber) {
+        showStatus(t('status.bidApplied', { bid: bidNumber, part: product.vendorPartNumber }), 'success');
+    }
+}
+
+// =====================================================
+// SUBSCRIPTION PLANS
+// =====================================================
+// Subscription and digital SKUs carry one price per plan option and resource
+// (term, billing period, per-unit MSRP and cost). The chosen plan is kept on
+// the queued line, prices it, and goes to Zoho with its term details.
+
+function getSelectedPlan(product) {
+    if (!product.subscriptionPlan) return null;
+    return (getProductPricing(product)?.subscriptionPlans || []).find(plan => plan.id === product.subscriptionPlan) || null;
+}
+
+function describePlanTerm(plan) {
+    const term = plan.term.duration != null
+        ? t('plans.term', { duration: plan.term.duration, unit: plan.term.unit })
+        : '';
+    return [term, plan.billingPeriod].filter(Boolean).join(' / ') || '-';
+}
+
+function describePlan(plan, currency) {
+    const parts = [plan.planName, plan.resourceName].filter(Boolean);
+    parts.push(describePlanTerm(plan));
+    if (plan.msrp != null) parts.push(t('plans.perUnit', { price: formatPrice(plan.msrp, currency), unit: plan.unit || t('plans.unit') }));
+    if (plan.trial) parts.push(t('plans.trial'));
+    return parts.join(' \u00b7 ');
+}
+
+function getPlanWarning(product, pricing) {
+    const plans = pricing?.subscriptionPlans || [];
+    if (product.subscriptionPlan && !getSelectedPlan(product)) {
+        return t('plans.unavailable');
+    }
+    return plans.length > 1 && !product.subscriptionPlan ? t('plans.choose', { count: plans.length }) : '';
+}
+
+function formatSubscriptionFields(plan) {
+    if (!plan) return {};
+    return {
+        Subscription_Plan_Id: plan.id,
+        Subscription_Plan: plan.planName,
+        Subscription_Resource: plan.resourceName,
+        Subscription_Term: plan.term.duration,
+        Subscription_Term_Unit: plan.term.unit,
+        Billing_Period: plan.billingPeriod
+    };
+}
+
+function renderPlanSelect(product, partNumber, pricing) {
+    const plans = pricing?.subscriptionPlans || [];
+    if (plans.length === 0) return '';
+
+    const currency = getPricingCurrency(pricing);
+    return `
+        <select class="queue-item-bid queue-item-plan" onchange="setQueuePlan('${partNumber}', this.value)"
+                aria-label="${t('plans.selectFor', { part: product.vendorPartNumber || partNumber })}">
+            <option value="">${t('plans.none')}</option>
+            ${plans.map(plan => `
+                <option value="${escapeHtml(plan.id)}" ${plan.id === product.subscriptionPlan ? 'selected' : ''}>${describePlan(plan, currency)}</option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function setQueuePlan(partNumber, planId) {
+    const product = state.queuedProducts.find(p => getProductKey(p) === partNumber);
+    if (!product) return;
+
+    if (planId) {
+        product.subscriptionPlan = planId;
+    } else {
+        delete product.subscriptionPlan;
+    }
+    renderQueueItems();
+}
+
+// Details table: every plan option, with a button to queue the product on that plan
+function renderSubscriptionPlans(product, pricingData) {
+    const section = document.getElementById('subscriptionPlansSection');
+    const body = document.getElementById('subscriptionPlansBody');
+    if (!section || !body) return;
+
+    const plans = pricingData?.subscriptionPlans || [];
+    if (plans.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const currency = getPricingCurrency(pricingData);
+    const queued = state.queuedProducts.find(p => getProductKey(p) === getProductKey(product));
+
+    section.style.display = 'block';
+    body.innerHTML = plans.map((plan, index) => `
+        <tr class="${queued?.subscriptionPlan === plan.id ? 'plan-selected' : ''}">
+            <td>${plan.planName || '-'}${plan.trial ? ` <span class="comparison-current">${t('plans.trial')}</span>` : ''}</td>
+            <td>${plan.resourceName || '-'}${plan.unit ? ` (${plan.unit})` : ''}</td>
+            <td>${plan.term.duration != null ? t('plans.term', { duration: plan.term.duration, unit: plan.term.unit }) : '-'}</td>
+            <td>${plan.billingPeriod || '-'}</td>
+            <td class="text-right">${plan.msrp != null ? formatPriceWithQuote(plan.msrp, currency) : '-'}</td>
+            <td class="text-right">${plan.cost != null ? formatPriceWithQuote(plan.cost, currency) : '-'}</td>
+            <td class="text-right">
+                <button class="btn-accent btn-tiny" onclick="queueWithPlan(${index})">
+                    ${queued ? t('plans.use') : t('plans.queue')}
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Queue the product shown in details on the chosen plan (an index into its
+// subscriptionPlans), or switch its queued line to it
+function queueWithPlan(planIndex, allowQuoteDuplicate = false) {
+    const product = state.detailsProduct;
+    if (!product) return;
+    const planId = getProductPricing(product)?.subscriptionPlans?.[planIndex]?.id;
+    if (!planId) return;
+
+    const partNumber = getProductKey(product);
+    let line = state.queuedProducts.find(p => getProductKey(p) === partNumber);
+    if (!line && findQuoteLine(product) && !allowQuoteDuplicate) {
+        showStatus(`${t('status.alreadyOnQuote', { parts: product.vendorPartNumber })}
+            <button onclick="queueWithPlan(${planIndex}, true)" class="btn-secondary btn-tiny">${t('queue.addAnyway')}</button>`, 'warning');
+        return;
+    }
+    if (!line) {
+        line = { ...product, pricing: getProductPricing(product), quantity: 1 };
+        state.queuedProducts.push(line);
+        state.selectedProducts.delete(partNumber);
+        updateSelectedCount();
+        refreshProductsTable();
+    }
+    line.subscriptionPlan = planId;
+
+    updateQueueUI();
+    renderSubscriptionPlans(product, getProductPricing(product));
+
+    const plan = getSelectedPlan(line);
+    showStatus(t('status.planChosen', { part: product.vendorPartNumber, plan: plan ? describePlan(plan, getPricingCurrency(getProductPricing(line))) : planId }), 'success');
+}
+
+// =====================================================
+// PREFERRED WAREHOUSES
+// =====================================================
+// Reps choose the warehouses they ship from. Stock at those locations shows
+// in the products table and queue, and a queue line warns when its quantity
+// is more than they hold. Warehouse IDs are only unique per distributor.
+const PREFERRED_WAREHOUSES_STORAGE_KEY = 'productLookup.preferredWarehouses';
+
+function loadPreferredWarehouses() {
+    state.preferredWarehouses = readStorage(PREFERRED_WAREHOUSES_STORAGE_KEY, []);
+    // Saved choices are listed even before any pricing has been loaded
+    state.preferredWarehouses.forEach(wh => {
+        state.knownWarehouses.set(getWarehouseKey(wh.distributor, wh.id), { ...wh });
+    });
+    renderWarehouseSettings();
+}
+
+function getWarehouseKey(distributor, id) {
+    return `${distributor}:${id}`;
+}
 
-        // Render grouped
-        Object.keys(groups).sort().forEach(mfr => {
-            // Add manufacturer header (draggable)
-            const header = document.createElement('div');
-            header.className = 'queue-mfr-group';
-            header.textContent = mfr;
-            header.draggable = true;
-            header.dataset.manufacturer = mfr;
-            queueItems.appendChild(header);
+function isPreferredWarehouse(distributor, id) {
+    return state.preferredWarehouses.some(wh => wh.distributor === distributor && wh.id === String(id));
+}
 
-            // Add items for this manufacturer
-            groups[mfr].forEach((product, index) => {
-                queueItems.appendChild(createQueueItemElement(product, index));
-            });
-        });
-    } else {
-        // Render flat list
-        state.queuedProducts.forEach((product, index) => {
-            queueItems.appendChild(createQueueItemElement(product, index));
-        });
-    }
+function rememberWarehouses(distributor, pricing) {
+    (pricing?.availability?.warehouses || []).forEach(wh => {
+        const key = getWarehouseKey(distributor, wh.id);
+        if (!state.knownWarehouses.get(key)?.location) {
+            state.knownWarehouses.set(key, { distributor, id: String(wh.id), location: wh.location || '' });
+        }
+    });
 }
 
-function createQueueItemElement(product, index) {
-    const partNumber = product.ingramPartNumber || product.vendorPartNumber;
-    const msrp = product.pricingData?.pricing?.retailPrice || product.retailPrice;
-    const msrpDisplay = msrp
-        ? `$${msrp.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
-        : '-';
+// Stock at the preferred warehouses, or null when the product's distributor
+// has none set or there is no warehouse breakdown
+function getPreferredStock(product) {
+    const pricing = getProductPricing(product);
+    const hasPreferred = state.preferredWarehouses.some(wh => wh.distributor === product.distributor);
+    if (!hasPreferred || !pricing?.availability?.warehouses?.length) return null;
+
+    const warehouses = pricing.availability.warehouses.filter(wh => isPreferredWarehouse(product.distributor, wh.id));
+    const etas = warehouses
+        .filter(wh => wh.backordered > 0 && wh.eta)
+        .map(wh => wh.eta)
+        .sort((a, b) => new Date(a) - new Date(b));
+
+    return {
+        available: warehouses.reduce((sum, wh) => sum + (wh.available || 0), 0),
+        backordered: warehouses.reduce((sum, wh) => sum + (wh.backordered || 0), 0),
+        eta: etas[0] || '',
+        warehouses
+    };
+}
 
-    const li = document.createElement('li');
-    li.className = 'queue-item';
-    li.draggable = true;
-    li.dataset.partNumber = partNumber;
-    li.dataset.index = index;
+function describePreferredStock(stock) {
+    if (stock.warehouses.length === 0) return t('warehouses.notStocked');
 
-    // Minimal: drag handle, part number, price, remove button
-    li.innerHTML = `
-        <div class="queue-item-drag">
-            <svg width="9" height="9" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <circle cx="9" cy="5" r="1"/><circle cx="9" cy="12" r="1"/><circle cx="9" cy="19" r="1"/>
-                <circle cx="15" cy="5" r="1"/><circle cx="15" cy="12" r="1"/><circle cx="15" cy="19" r="1"/>
-            </svg>
-        </div>
-        <div class="queue-item-info">
-            <div class="queue-item-part">${product.vendorPartNumber || '-'}</div>
-        </div>
-        <div class="queue-item-price">${msrpDisplay}</div>
-        <button class="queue-item-remove" onclick="removeFromQueue('${partNumber}')" title="Remove">
-            <svg width="9" height="9" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M18 6 6 18M6 6l12 12"/>
-            </svg>
-        </button>
-    `;
+    return stock.warehouses.map(wh => {
+        const parts = [`${wh.location || wh.id}: ${formatNumber(wh.available)}`];
+        if (wh.backordered > 0) {
+            parts.push(t('warehouses.backorderedDetail', {
+                quantity: wh.backordered,
+                eta: wh.eta ? formatDate(wh.eta) : t('warehouses.noEta')
+            }));
+        }
+        return parts.join(' ');
+    }).join('\n');
+}
 
-    return li;
+function toggleWarehouseSettings() {
+    state.warehousesVisible = !state.warehousesVisible;
+    const panel = document.getElementById('warehousesPanel');
+    if (panel) {
+        panel.style.display = state.warehousesVisible ? 'block' : 'none';
+    }
+    if (state.warehousesVisible) renderWarehouseSettings();
 }
 
-function submitQueue() {
-    if (state.queuedProducts.length === 0) {
-        showStatus('No products in queue', 'error');
+function renderWarehouseSettings() {
+    const list = document.getElementById('warehouseList');
+    if (!list) return;
+
+    const warehouses = [...state.knownWarehouses.entries()]
+        .sort(([, a], [, b]) => a.distributor.localeCompare(b.distributor) ||
+            (a.location || a.id).localeCompare(b.location || b.id));
+
+    if (warehouses.length === 0) {
+        list.innerHTML = `<li class="pricing-rule-empty">${t('warehouses.noneKnown')}</li>`;
         return;
     }
 
-    const formattedProducts = state.queuedProducts.map(product => {
-        const pricingData = product.pricingData || state.pricingData?.[product.ingramPartNumber] || {};
-        const msrp = pricingData?.pricing?.retailPrice || product.retailPrice || null;
+    list.innerHTML = warehouses.map(([key, wh]) => `
+        <li class="pricing-rule">
+            <label class="toggle-label">
+                <input type="checkbox" onchange="togglePreferredWarehouse('${key}', this.checked)"
+                       ${isPreferredWarehouse(wh.distributor, wh.id) ? 'checked' : ''}>
+                <span class="toggle-text">${wh.location || wh.id}</span>
+            </label>
+            <span class="pricing-rule-scope">${DISTRIBUTORS[wh.distributor]?.code || wh.distributor} ${wh.id}</span>
+        </li>
+    `).join('');
+}
 
-        return {
-            Product_Code: product.vendorPartNumber || '',
-            Product_Name: product.description || '',
-            Manufacturer: product.vendorName || state.manufacturer,
-            Ingram_Micro_SKU: product.ingramPartNumber || '',
-            MSRP: msrp,
-            Category: product.category || state.category || '',
-            Subcategory: product.subCategory || state.subcategory || '',
-            UPC: pricingData?.upc || product.upcCode || '',
-            Description: product.extraDescription || pricingData?.description || '',
-            Last_Sync_Source: DISTRIBUTORS[state.currentDistributor]?.name || 'Ingram Micro',
-            IM_Product_Type: product.productType || '',
-            Quantity: 1
-        };
-    });
+function togglePreferredWarehouse(key, preferred) {
+    const warehouse = state.knownWarehouses.get(key);
+    if (!warehouse) return;
 
-    console.log('Sending queued products to parent:', formattedProducts);
+    state.preferredWarehouses = state.preferredWarehouses
+        .filter(wh => getWarehouseKey(wh.distributor, wh.id) !== key);
+    if (preferred) state.preferredWarehouses.push({ ...warehouse });
+    writeStorage(PREFERRED_WAREHOUSES_STORAGE_KEY, state.preferredWarehouses);
 
-    if (typeof $Client !== 'undefined') {
-        $Client.close({
-            products: formattedProducts,
-            distributor: state.currentDistributor
-        });
+    // The first preferred warehouse brings the stock column into view
+    if (preferred && !state.tableColumns.includes('preferredStock')) {
+        setColumnVisible('preferredStock', true);
+        renderColumnChooser();
     } else {
-        console.log('Standalone mode - would send:', formattedProducts);
-        showStatus(`Queued ${formattedProducts.length} products (standalone mode)`, 'info');
+        refreshProductsTable();
+    }
+
+    renderWarehouseSettings();
+    if (state.queuedProducts.length > 0) renderQueueItems();
+    if (state.detailsProduct) renderWarehouseAvailability(state.detailsProduct, getProductPricing(state.detailsProduct));
+}
+
+// Details table: every warehouse, preferred first, backorders and ETAs included
+function renderWarehouseAvailability(product, pricingData) {
+    const warehouseSection = document.getElementById('warehouseSection');
+    const warehouseBody = document.getElementById('warehouseBody');
+    const warehouses = pricingData?.availability?.warehouses || [];
+
+    if (warehouses.length === 0) {
+        warehouseSection.style.display = 'none';
+        return;
     }
+
+    const isPreferred = (wh) => isPreferredWarehouse(product.distributor, wh.id);
+    const sorted = [...warehouses].sort((a, b) => isPreferred(b) - isPreferred(a) || b.available - a.available);
+
+    warehouseSection.style.display = 'block';
+    warehouseBody.innerHTML = sorted.map(wh => {
+        const preferred = isPreferred(wh);
+        const key = getWarehouseKey(product.distributor, wh.id);
+        return `
+            <tr class="${preferred ? 'warehouse-preferred' : ''}">
+                <td>
+                    <button class="warehouse-star ${preferred ? 'active' : ''}" onclick="togglePreferredWarehouse('${key}', ${!preferred})"
+                            title="${t(preferred ? 'warehouses.unsetPreferred' : 'warehouses.setPreferred')}"
+                            aria-pressed="${preferred}">${preferred ? '&#9733;' : '&#9734;'}</button>
+                    ${wh.id}
+                </td>
+                <td>${wh.location || '-'}</td>
+                <td class="text-right ${wh.available > 0 ? 'stock-available' : 'stock-none'}">${formatNumber(wh.available)}</td>
+                <td class="text-right">${formatNumber(wh.backordered)}</td>
+                <td>${wh.backordered > 0 ? (wh.eta ? formatDate(wh.eta) : t('warehouses.noEta')) : '-'}</td>
+            </tr>
+        `;
+    }).join('');
 }
 
 // =====================================================
 // BATCH PRICING (fallback)
 // =====================================================
 async function fetchBatchPricing(products) {
-    const partNumbers = products
-        .map(p => p.ingramPartNumber)
-        .filter(pn => pn);
-
-    if (partNumbers.length === 0) return;
+    const adapter = getDistributorAdapter();
+    if (!adapter) return;
 
     try {
-        const response = await fetch(`${PROXY_BASE}?action=pricing`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ partNumbers, sandbox: false })
-        });
-
-        const data = await response.json();
-        state.pricingData = {};
-
-        if (Array.isArray(data)) {
-            data.forEach(item => {
-                state.pricingData[item.ingramPartNumber] = item;
-            });
-        }
+        Object.assign(state.pricingData, await loadCachedPricing(adapter, state.currentDistributor, products));
     } catch (error) {
         console.error('[Pricing] Error:', error);
     }
@@ -1147,9 +5159,13 @@ async function showProductDetails(productIndex) {
         console.error('Product not found at index:', productIndex);
         return;
     }
+    await openProductDetails(product);
+}
 
-    const ingramPn = product.ingramPartNumber;
-    console.log(`[Details] Loading details for ${ingramPn}...`);
+async function openProductDetails(product) {
+    const sku = product.sku;
+    state.detailsProduct = product;
+    console.log(`[Details] Loading details for ${sku}...`);
 
     const detailsSection = document.getElementById('productDetailsSection');
     detailsSection.style.display = 'block';
@@ -1162,68 +5178,70 @@ async function showProductDetails(productIndex) {
     if (rawContainer) rawContainer.style.display = 'none';
     if (rawToggle) rawToggle.classList.remove('active');
 
-    let pricingData = state.pricingData?.[ingramPn];
+    const adapter = getDistributorAdapter(product.distributor);
+    let pricingData = getProductPricing(product);
     let productDetails = null;
 
-    if (ingramPn) {
+    if (sku && adapter) {
         const fetchPromises = [];
 
         if (!pricingData) {
             fetchPromises.push(
-                fetch(`${PROXY_BASE}?action=pricing`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ partNumbers: [ingramPn], sandbox: false })
-                })
-                .then(res => res.json())
-                .then(data => {
-                    if (Array.isArray(data) && data.length > 0) {
-                        pricingData = data[0];
-                        state.pricingData[ingramPn] = pricingData;
-                    }
-                })
-                .catch(err => console.error('[Details] Error fetching pricing:', err))
+                loadCachedPricing(adapter, product.distributor, [product])
+                    .then(pricing => {
+                        if (pricing[sku]) {
+                            pricingData = pricing[sku];
+                            state.pricingData[sku] = pricingData;
+                        }
+                    })
+                    .catch(err => {
+                        console.error('[Details] Error fetching pricing:', err);
+                        showStatus(describeProxyError(err, t('context.loadDetails', { part: product.vendorPartNumber || sku })), 'error');
+                    })
             );
         }
 
         fetchPromises.push(
-            fetch(`${PROXY_BASE}?action=productDetails&ingramPartNumber=${encodeURIComponent(ingramPn)}`)
-                .then(res => res.json())
-                .then(data => {
-                    if (data && !data.error) {
-                        productDetails = data;
-                    }
+            cachedRequest('productDetails', [product.distributor, sku], () => adapter.loadProductDetails(product))
+                .then(details => {
+                    productDetails = details;
+                })
+                .catch(err => {
+                    console.error('[Details] Error fetching product details:', err);
+                    showStatus(describeProxyError(err, t('context.loadDetails', { part: product.vendorPartNumber || sku })), 'error');
                 })
-                .catch(err => console.error('[Details] Error fetching product details:', err))
         );
 
         await Promise.all(fetchPromises);
     }
 
-    const fullProductData = { ...product, pricingData, productDetails };
+    // Raw API view shows the untouched distributor responses
+    const fullProductData = {
+        ...product.raw,
+        pricingData: pricingData?.raw || null,
+        productDetails: productDetails?.raw || null
+    };
 
-    const isAuthorized = product.authorizedToPurchase === 'true' ||
-                         product.authorizedToPurchase === true ||
-                         pricingData?.productAuthorized === true;
-    const authorizedText = isAuthorized ? 'Yes' : 'No';
+    const isAuthorized = product.authorized || pricingData?.authorized === true;
+    const authorizedText = isAuthorized ? t('common.yes') : t('common.no');
     const authorizedClass = isAuthorized ? 'authorized-yes' : 'authorized-no';
 
     // Row 1: Product Name
     document.getElementById('detailsProductName').innerHTML = `
-        <strong>Product Name:</strong> ${product.description || 'N/A'}
+        <strong>${t('details.productName')}</strong> ${product.description || t('common.notAvailable')}
     `;
-    // Row 2: Ingram SKU, Vendor Part, Manufacturer, Authorized (no duplicate Product Name)
+    // Row 2: Distributor SKU, Vendor Part, Manufacturer, Authorized (no duplicate Product Name)
     document.getElementById('detailsSubtitle').innerHTML = `
-        <strong>Ingram SKU:</strong> ${ingramPn || 'N/A'} |
-        <strong>Vendor Part:</strong> ${product.vendorPartNumber || 'N/A'} |
-        <strong>Manufacturer:</strong> ${product.vendorName || state.manufacturer} |
-        <strong>Authorized:</strong> <span class="${authorizedClass}">${authorizedText}</span>
+        <strong>${t('details.distributorSku', { name: DISTRIBUTORS[product.distributor]?.name || t('details.distributor') })}</strong> ${sku || t('common.notAvailable')} |
+        <strong>${t('details.vendorPart')}</strong> ${product.vendorPartNumber || t('common.notAvailable')} |
+        <strong>${t('details.manufacturer')}</strong> ${product.vendorName || state.manufacturer} |
+        <strong>${t('details.authorized')}</strong> <span class="${authorizedClass}">${authorizedText}</span>
     `;
 
-    const longDesc = product.extraDescription || pricingData?.description || '';
+    const longDesc = product.longDescription || pricingData?.description || '';
     const longDescEl = document.getElementById('detailsLongDesc');
     if (longDesc) {
-        longDescEl.innerHTML = `<strong>Long Description:</strong> ${longDesc}`;
+        longDescEl.innerHTML = `<strong>${t('details.longDescription')}</strong> ${longDesc}`;
         longDescEl.style.display = 'block';
     } else {
         longDescEl.style.display = 'none';
@@ -1266,71 +5284,71 @@ async function showProductDetails(productIndex) {
     };
 
     const yesNo = (val) => {
-        if (val === true) return 'Yes';
-        if (val === false) return 'No';
+        if (val === true) return t('common.yes');
+        if (val === false) return t('common.no');
         if (typeof val === 'string') {
             const lower = val.toLowerCase();
-            if (lower === 'true' || lower === 'yes') return 'Yes';
-            if (lower === 'false' || lower === 'no') return 'No';
+            if (lower === 'true' || lower === 'yes') return t('common.yes');
+            if (lower === 'false' || lower === 'no') return t('common.no');
         }
         return '-';
     };
 
+    const pricingCurrency = getPricingCurrency(pricingData);
     const formatCurrency = (val) => {
         if (val === null || val === undefined) return '-';
-        return `$${Number(val).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        return formatPriceWithQuote(val, pricingCurrency);
     };
 
     const productInfoFields = [
-        { label: 'Category', value: product.category || state.category || '-' },
-        { label: 'Subcategory', value: product.subCategory || state.subcategory || '-' },
-        { label: 'Product Type', value: product.productType || '-' },
-        { label: 'SKU Type', value: formatSKUType(product.type) },
-        { label: 'Product Class', value: formatProductClass(pricingData?.productClass || product.productClass), fullWidth: true },
-        { label: 'Replacement SKU', value: product.replacementSku || '-', fullWidth: true }
+        { label: t('details.category'), value: product.category || state.category || '-' },
+        { label: t('details.subcategory'), value: product.subCategory || state.subcategory || '-' },
+        { label: t('details.productType'), value: product.productType || '-' },
+        { label: t('details.skuType'), value: product.skuType ? formatSKUType(product.skuType) : '-' },
+        { label: t('details.productClass'), value: formatProductClass(pricingData?.productClass || product.productClass), fullWidth: true },
+        {
+            label: t('details.replacementSku'),
+            value: product.replacementSku
+                ? `<button class="btn-link replacement-link" onclick="showReplacementDetails()"
+                           title="${t('details.replacementTitle')}">${product.replacementSku}</button>`
+                : '-',
+            fullWidth: true
+        }
     ];
     renderGridWithOptions('productInfoGrid', productInfoFields);
 
-    const msrpValue = formatCurrency(pricingData?.pricing?.retailPrice);
-    const customerPriceValue = formatCurrency(pricingData?.pricing?.customerPrice);
+    const msrpValue = formatCurrency(pricingData?.msrp);
+    const customerPriceValue = formatCurrency(pricingData?.cost);
 
-    let subscriptionPriceValue = '-';
-    if (pricingData?.subscriptionPrice && Array.isArray(pricingData.subscriptionPrice) && pricingData.subscriptionPrice.length > 0) {
-        const subPrice = pricingData.subscriptionPrice[0];
-        if (subPrice?.options?.[0]?.resourcePricing?.[0]?.msrp) {
-            subscriptionPriceValue = formatCurrency(subPrice.options[0].resourcePricing[0].msrp);
-        }
-    }
+    const plans = pricingData?.subscriptionPlans || [];
+    const planMsrps = plans.map(plan => plan.msrp).filter(msrp => msrp != null);
+    const subscriptionPriceValue = planMsrps.length > 0
+        ? t('details.subscriptionFrom', { price: formatCurrency(Math.min(...planMsrps)), count: plans.length })
+        : '-';
 
     const pricingFields = [
-        { label: 'MSRP', value: msrpValue },
-        { label: 'Customer Price', value: customerPriceValue },
-        { label: 'Subscription Price', value: subscriptionPriceValue }
+        { label: t('details.currency'), value: pricingCurrency },
+        { label: t('details.msrp'), value: msrpValue },
+        { label: t('details.customerPrice'), value: customerPriceValue },
+        { label: t('details.subscriptionPrice'), value: subscriptionPriceValue }
     ];
     renderGrid('pricingGrid', pricingFields);
 
     const discountsGroup = document.getElementById('discountsGroup');
     const discountsBody = document.getElementById('discountsBody');
 
-    let allDiscounts = [];
-    if (pricingData?.discounts && Array.isArray(pricingData.discounts)) {
-        pricingData.discounts.forEach(discountGroup => {
-            if (discountGroup.specialPricing && Array.isArray(discountGroup.specialPricing)) {
-                allDiscounts.push(...discountGroup.specialPricing);
-            }
-        });
-    }
+    const allDiscounts = pricingData?.discounts || [];
 
     if (allDiscounts.length > 0) {
         discountsGroup.style.display = 'block';
         discountsBody.innerHTML = allDiscounts.map(d => `
             <tr>
-                <td>${d.discountType || '-'}</td>
-                <td>${d.specialBidNumber || '-'}</td>
-                <td class="text-right">${formatCurrency(d.specialPricingDiscount)}</td>
-                <td class="text-right">${d.specialPricingAvailableQuantity ?? '-'}</td>
-                <td>${d.specialPricingEffectiveDate || '-'}</td>
-                <td>${d.specialPricingExpirationDate || '-'}</td>
+                <td>${d.type || '-'}</td>
+                <td>${d.bidNumber || '-'}</td>
+                <td class="text-right">${formatCurrency(d.amount)}</td>
+                <td class="text-right">${d.quantity != null ? formatNumber(d.quantity) : '-'}</td>
+                <td>${d.effectiveDate ? formatDate(d.effectiveDate) : '-'}</td>
+                <td>${d.expirationDate ? formatDate(d.expirationDate) : '-'}</td>
             </tr>
         `).join('');
     } else {
@@ -1338,64 +5356,523 @@ async function showProductDetails(productIndex) {
     }
 
     const availabilityFields = [
-        { label: 'In Stock', value: yesNo(pricingData?.availability?.available) },
-        { label: 'Available Qty', value: pricingData?.availability?.totalAvailability ?? '-' }
+        { label: t('details.inStock'), value: yesNo(pricingData?.availability?.available) },
+        { label: t('details.availableQty'), value: pricingData?.availability?.total != null ? formatNumber(pricingData.availability.total) : '-' }
     ];
     renderGrid('availabilityGrid', availabilityFields);
 
-    const indicators = productDetails?.indicators || {};
+    const flags = productDetails?.flags || {};
 
     // Discontinued badge with color
-    const isDiscontinued = product.discontinued || indicators.isDiscontinuedProduct;
+    const isDiscontinued = product.discontinued || flags.discontinued;
     const discontinuedValue = isDiscontinued === true || isDiscontinued === 'true'
-        ? '<span class="discontinued-yes">Yes</span>'
-        : '<span class="discontinued-no">No</span>';
+        ? `<span class="discontinued-yes">${t('common.yes')}</span>`
+        : `<span class="discontinued-no">${t('common.no')}</span>`;
 
     // Order: Digital/Bundle, Licensed/Service SKU, Direct Ship/New, Discontinued
     const flagsFields = [
-        { label: 'Digital', value: yesNo(indicators.isDigitalType || product.type === 'IM::Digital' || product.type === 'IM::digital') },
-        { label: 'Bundle', value: yesNo(indicators.hasBundle || pricingData?.bundlePartIndicator) },
-        { label: 'Licensed', value: yesNo(indicators.isLicenseProduct) },
-        { label: 'Service SKU', value: yesNo(indicators.isServiceSku) },
-        { label: 'Direct Ship', value: yesNo(product.directShip || indicators.isDirectship) },
-        { label: 'New', value: yesNo(product.newProduct || indicators.isNewProduct) },
-        { label: 'Discontinued', value: discontinuedValue, isHtml: true }
+        { label: t('details.flag.digital'), value: yesNo(flags.digital || product.skuType === 'Digital') },
+        { label: t('details.flag.bundle'), value: yesNo(flags.bundle || pricingData?.bundle) },
+        { label: t('details.flag.licensed'), value: yesNo(flags.licensed) },
+        { label: t('details.flag.serviceSku'), value: yesNo(flags.serviceSku) },
+        { label: t('details.flag.directShip'), value: yesNo(product.directShip || flags.directShip) },
+        { label: t('details.flag.new'), value: yesNo(product.newProduct || flags.newProduct) },
+        { label: t('details.flag.discontinued'), value: discontinuedValue, isHtml: true }
     ];
     renderFlagsGrid('flagsGrid', flagsFields);
 
-    const warehouseSection = document.getElementById('warehouseSection');
-    const warehouseBody = document.getElementById('warehouseBody');
+    rememberWarehouses(product.distributor, pricingData);
+    renderWarehouseAvailability(product, pricingData);
+    renderSubscriptionPlans(product, pricingData);
+
+    document.getElementById('rawApiResponse').textContent = JSON.stringify(fullProductData, null, 2);
+}
+
+function hideProductDetails() {
+    document.getElementById('productDetailsSection').style.display = 'none';
+}
+
+// =====================================================
+// REPLACEMENT PRODUCTS
+// =====================================================
+// Discontinued products point at a successor through replacementSku, and the
+// successor may itself be discontinued. The chain is followed until an active
+// product (or a dead end) so reps land on the SKU they can actually order.
+const REPLACEMENT_CHAIN_LIMIT = 5;
+
+// Successor of product, with pricing, or null when the distributor doesn't know it.
+// Only the SKU lookup is cached; pricing always comes through the pricing cache
+// so it is never older than CACHE_TTL.pricing.
+async function findReplacementProduct(product) {
+    const adapter = getDistributorAdapter(product.distributor);
+    const sku = product.replacementSku;
+    if (!adapter || !sku) return null;
+
+    const match = await cachedRequest('replacement', [product.distributor, sku], async () => {
+        const matches = await adapter.findByIdentifier(sku);
+        const target = sku.toLowerCase();
+        const found = matches.find(p => p.sku.toLowerCase() === target) ||
+            matches.find(p => p.vendorPartNumber.toLowerCase() === target);
+        return found ? { ...found, pricing: null } : null;
+    });
+    if (!match) return null;
+
+    const pricing = await loadCachedPricing(adapter, product.distributor, [match]);
+    match.pricing = pricing[match.sku] || null;
+    return match;
+}
+
+// Every successor in order; the last one is the product to use
+async function resolveReplacementChain(product) {
+    const chain = [];
+    const seen = new Set([getProductKey(product)]);
+    let current = product;
+
+    while (current.replacementSku && chain.length < REPLACEMENT_CHAIN_LIMIT) {
+        const next = await findReplacementProduct(current);
+        if (!next || seen.has(getProductKey(next))) break;
+
+        chain.push(next);
+        seen.add(getProductKey(next));
+        if (!isDiscontinuedProduct(next)) break;
+        current = next;
+    }
+    return chain;
+}
+
+function describeReplacementChain(product, chain) {
+    return [product, ...chain].map(p => p.vendorPartNumber || p.sku).join(' \u2192 ');
+}
+
+async function showReplacementDetails() {
+    const product = state.detailsProduct;
+    if (!product?.replacementSku) return;
+
+    showStatus(t('status.findingReplacement', { part: product.vendorPartNumber || product.sku }), 'loading');
+    try {
+        const chain = await resolveReplacementChain(product);
+        const replacement = chain[chain.length - 1];
+        if (!replacement) {
+            showStatus(t('status.replacementNotFound', { sku: product.replacementSku }), 'error');
+            return;
+        }
+
+        await openProductDetails(replacement);
+        showStatus(t('status.replacementShown', { chain: describeReplacementChain(product, chain) }), 'info');
+    } catch (error) {
+        showStatus(describeProxyError(error, t('context.replacement', { sku: product.replacementSku })), 'error');
+    }
+}
+
+// Replace a discontinued queue line with its current successor, keeping
+// the line's quantity and target price
+async function swapForReplacement(partNumber) {
+    const line = state.queuedProducts.find(p => getProductKey(p) === partNumber);
+    if (!line) return;
+
+    showStatus(t('status.findingReplacement', { part: line.vendorPartNumber || partNumber }), 'loading');
+    let chain;
+    try {
+        chain = await resolveReplacementChain(line);
+    } catch (error) {
+        showStatus(describeProxyError(error, t('context.replacement', { sku: line.replacementSku })), 'error');
+        return;
+    }
+
+    const replacement = chain[chain.length - 1];
+    if (!replacement) {
+        showStatus(t('status.replacementNotFound', { sku: line.replacementSku }), 'error');
+        return;
+    }
+
+    // The queue may have changed while the chain was being looked up
+    const lineIndex = state.queuedProducts.indexOf(line);
+    if (lineIndex === -1) return;
+    if (state.queuedProducts.some(p => getProductKey(p) === getProductKey(replacement))) {
+        showStatus(t('status.replacementAlreadyQueued', { part: replacement.vendorPartNumber }), 'info');
+        return;
+    }
+
+    const swapped = { ...replacement, quantity: line.quantity || 1 };
+    if (line.targetPrice != null) swapped.targetPrice = line.targetPrice;
+    state.queuedProducts[lineIndex] = swapped;
+
+    showStatus(t('status.replacementSwapped', { chain: describeReplacementChain(line, chain) }), 'success');
+    updateQueueUI();
+    refreshProductsTable();
+
+    // Successors come back priced at quantity 1
+    if (swapped.quantity > 1) repriceQueueLine(swapped);
+}
+
+// =====================================================
+// PRODUCT COMPARISON (side by side)
+// =====================================================
+// Lines up 2-4 ticked products attribute by attribute. Rows whose values
+// differ are highlighted; technical attributes come from the product details
+// call and are matched by name across products.
+const PRODUCT_COMPARISON_MIN = 2;
+const PRODUCT_COMPARISON_MAX = 4;
+
+async function showProductComparison() {
+    const products = Array.from(state.selectedProducts.values());
+    if (products.length < PRODUCT_COMPARISON_MIN || products.length > PRODUCT_COMPARISON_MAX) {
+        showStatus(t('status.compareCount', { min: PRODUCT_COMPARISON_MIN, max: PRODUCT_COMPARISON_MAX }), 'error');
+        return;
+    }
+
+    const comparison = { products, details: {} };
+    state.productComparison = comparison;
+
+    const section = document.getElementById('productComparisonSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    renderProductComparison();
+
+    await Promise.all(products.map(async product => {
+        const adapter = getDistributorAdapter(product.distributor);
+        if (!adapter || !product.sku) return;
+
+        const [pricing, details] = await Promise.all([
+            getProductPricing(product)
+                ? null
+                : loadCachedPricing(adapter, product.distributor, [product]).catch(error => {
+                    console.error('[Compare] Pricing failed:', error);
+                    return null;
+                }),
+            cachedRequest('productDetails', [product.distributor, product.sku], () => adapter.loadProductDetails(product))
+                .catch(error => {
+                    console.error('[Compare] Details failed:', error);
+                    return null;
+                })
+        ]);
+
+        if (pricing?.[product.sku]) state.pricingData[product.sku] = pricing[product.sku];
+        comparison.details[getProductKey(product)] = details;
+    }));
+
+    // Ignore results for a comparison that has since been closed or replaced
+    if (state.productComparison === comparison) {
+        renderProductComparison();
+    }
+}
+
+// Rows of { label, values } grouped under section headings
+function buildProductComparisonRows(comparison) {
+    const { products, details } = comparison;
+    const yesNo = (val) => (val === true || val === 'true' ? t('common.yes') : val === false || val === 'false' ? t('common.no') : '-');
+    const row = (labelKey, valueOf) => ({ label: t(labelKey), values: products.map(valueOf) });
+    const pricingOf = (p) => getProductPricing(p);
+    const flagsOf = (p) => details[getProductKey(p)]?.flags || {};
+
+    const sections = [
+        {
+            title: t('compareProducts.section.pricing'),
+            rows: [
+                row('details.msrp', p => formatPriceWithQuote(pricingOf(p)?.msrp ?? null, getPricingCurrency(pricingOf(p)))),
+                row('details.customerPrice', p => formatPriceWithQuote(pricingOf(p)?.cost ?? null, getPricingCurrency(pricingOf(p)))),
+                row('details.currency', p => getPricingCurrency(pricingOf(p))),
+                row('compareProducts.discounts', p => (pricingOf(p)?.discounts || [])
+                    .map(d => `${d.bidNumber || d.type || '-'}: ${formatPrice(d.amount, getPricingCurrency(pricingOf(p)))}${d.quantity != null ? ` (${t('compareProducts.maxQty', { quantity: d.quantity })})` : ''}`)
+                    .join('<br>') || '-')
+            ]
+        },
+        {
+            title: t('compareProducts.section.availability'),
+            rows: [
+                row('details.inStock', p => yesNo(pricingOf(p)?.availability?.available)),
+                row('details.availableQty', p => {
+                    const total = pricingOf(p)?.availability?.total;
+                    return total != null ? formatNumber(total) : '-';
+                })
+            ]
+        },
+        {
+            title: t('compareProducts.section.product'),
+            rows: [
+                row('compareProducts.manufacturer', p => p.vendorName || '-'),
+                row('details.category', p => p.category || '-'),
+                row('details.subcategory', p => p.subCategory || '-'),
+                row('details.skuType', p => formatSKUType(p.skuType)),
+                row('details.productClass', p => formatProductClass(pricingOf(p)?.productClass || p.productClass)),
+                row('compareProducts.authorized', p => yesNo(p.authorized || pricingOf(p)?.authorized === true)),
+                row('details.replacementSku', p => p.replacementSku || '-')
+            ]
+        },
+        {
+            title: t('compareProducts.section.flags'),
+            rows: [
+                row('details.flag.digital', p => yesNo(flagsOf(p).digital || p.skuType === 'Digital')),
+                row('details.flag.bundle', p => yesNo(flagsOf(p).bundle ?? pricingOf(p)?.bundle)),
+                row('details.flag.licensed', p => yesNo(flagsOf(p).licensed)),
+                row('details.flag.serviceSku', p => yesNo(flagsOf(p).serviceSku)),
+                row('details.flag.directShip', p => yesNo(p.directShip || flagsOf(p).directShip)),
+                row('details.flag.new', p => yesNo(p.newProduct || flagsOf(p).newProduct)),
+                row('details.flag.discontinued', p => yesNo(isDiscontinuedProduct(p) || flagsOf(p).discontinued))
+            ]
+        }
+    ];
+
+    // Attributes keep the order they first appear in across the products
+    const attributeNames = [];
+    products.forEach(p => (details[getProductKey(p)]?.attributes || []).forEach(attr => {
+        if (!attributeNames.includes(attr.name)) attributeNames.push(attr.name);
+    }));
+    if (attributeNames.length > 0) {
+        sections.push({
+            title: t('compareProducts.section.attributes'),
+            rows: attributeNames.map(name => ({
+                label: name,
+                values: products.map(p => details[getProductKey(p)]?.attributes?.find(attr => attr.name === name)?.value || '-')
+            }))
+        });
+    }
+
+    return sections;
+}
+
+function renderProductComparison() {
+    const comparison = state.productComparison;
+    const table = document.getElementById('productComparisonTable');
+    if (!comparison || !table) return;
+
+    const { products } = comparison;
+    const sections = buildProductComparisonRows(comparison);
+
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th></th>
+                ${products.map((product, index) => {
+                    const isQueued = state.queuedProducts.some(p => getProductKey(p) === getProductKey(product));
+                    return `
+                        <th class="compare-product-head">
+                            <strong>${product.vendorPartNumber || product.sku || '-'}</strong>
+                            <span class="compare-product-desc" title="${(product.description || '').replace(/"/g, '&quot;')}">${product.description || ''}</span>
+                            <button class="btn-accent btn-tiny" onclick="queueComparedProduct(${index})" ${isQueued ? 'disabled' : ''}>
+                                ${isQueued ? t('compareProducts.queued') : t('compareProducts.queue')}
+                            </button>
+                        </th>
+                    `;
+                }).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${sections.map(section => `
+                <tr class="compare-section"><td colspan="${products.length + 1}">${section.title}</td></tr>
+                ${section.rows.map(row => {
+                    const differs = new Set(row.values).size > 1;
+                    return `
+                        <tr class="${differs ? 'compare-diff' : ''}">
+                            <th scope="row">${row.label}</th>
+                            ${row.values.map(value => `<td>${value}</td>`).join('')}
+                        </tr>
+                    `;
+                }).join('')}
+            `).join('')}
+        </tbody>
+    `;
+}
+
+// Queue the chosen product and close the comparison
+function queueComparedProduct(index, allowQuoteDuplicate = false) {
+    const product = state.productComparison?.products[index];
+    if (!product) return;
+
+    const partNumber = getProductKey(product);
+    if (state.queuedProducts.some(p => getProductKey(p) === partNumber)) {
+        showStatus(t('status.productAlreadyQueued', { part: product.vendorPartNumber }), 'info');
+        return;
+    }
+
+    if (findQuoteLine(product) && !allowQuoteDuplicate) {
+        showStatus(`${t('status.alreadyOnQuote', { parts: product.vendorPartNumber })}
+            <button onclick="queueComparedProduct(${index}, true)" class="btn-secondary btn-tiny">${t('queue.addAnyway')}</button>`, 'warning');
+        return;
+    }
+
+    state.queuedProducts.push({ ...product, pricing: getProductPricing(product), quantity: 1 });
+    state.selectedProducts.delete(partNumber);
+    updateSelectedCount();
+
+    hideProductComparison();
+    refreshProductsTable();
+    updateQueueUI();
+    showStatus(t('status.addedToQueue', { count: 1 }), 'success');
+}
+
+function hideProductComparison() {
+    state.productComparison = null;
+    document.getElementById('productComparisonSection').style.display = 'none';
+}
+
+// =====================================================
+// SOURCE COMPARISON (cross-distributor)
+// =====================================================
+function compareProductSources(productIndex) {
+    const product = state.currentProducts[productIndex];
+    if (product) showSourceComparison(product, null);
+}
+
+function compareDetailsProductSources() {
+    if (state.detailsProduct) showSourceComparison(state.detailsProduct, null);
+}
+
+function compareQueuedSources(partNumber) {
+    const product = state.queuedProducts.find(p => getProductKey(p) === partNumber);
+    if (product) showSourceComparison(product, partNumber);
+}
+
+// Looks up the same vendor part number at every distributor. When opened
+// from a queue line, queueKey identifies the line the chosen source replaces.
+async function showSourceComparison(product, queueKey) {
+    if (!product.vendorPartNumber) {
+        showStatus(t('status.noPartToCompare'), 'error');
+        return;
+    }
+
+    const comparison = {
+        product,
+        queueKey,
+        results: {}
+    };
+    state.sourceComparison = comparison;
+
+    const section = document.getElementById('sourceComparisonSection');
+    section.style.display = 'block';
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    document.getElementById('comparisonPart').textContent = product.vendorPartNumber;
+    renderSourceComparison();
+
+    const manufacturer = product.vendorName || state.manufacturer;
+
+    await Promise.all(Object.keys(DISTRIBUTORS).map(async key => {
+        const adapter = getDistributorAdapter(key);
+        if (!adapter) {
+            comparison.results[key] = { status: 'unavailable' };
+            return;
+        }
+
+        if (key === product.distributor && getProductPricing(product)) {
+            comparison.results[key] = {
+                status: 'found',
+                product: { ...product, pricing: getProductPricing(product) }
+            };
+            return;
+        }
+
+        comparison.results[key] = { status: 'loading' };
+        try {
+            const match = await adapter.findByVendorPart(product.vendorPartNumber, manufacturer);
+            comparison.results[key] = match
+                ? { status: 'found', product: match }
+                : { status: 'notFound' };
+        } catch (error) {
+            console.error(`[Compare] ${key} lookup failed:`, error);
+            comparison.results[key] = { status: 'error', message: error.message };
+        }
+
+        // Ignore results for a comparison that has since been replaced
+        if (state.sourceComparison === comparison) {
+            renderSourceComparison();
+        }
+    }));
+
+    if (state.sourceComparison === comparison) {
+        renderSourceComparison();
+    }
+}
 
-    // Check total availability - hide entire section if 0
-    const totalAvailability = pricingData?.availability?.totalAvailability ?? 0;
-
-    if (totalAvailability > 0 && pricingData?.availability?.availabilityByWarehouse?.length > 0) {
-        // Filter to only show warehouses with availability > 0
-        const availableWarehouses = pricingData.availability.availabilityByWarehouse
-            .filter(wh => (wh.quantityAvailable ?? 0) > 0);
-
-        if (availableWarehouses.length > 0) {
-            warehouseSection.style.display = 'block';
-            warehouseBody.innerHTML = availableWarehouses.map(wh => `
-                <tr>
-                    <td>${wh.warehouseId}</td>
-                    <td>${wh.location || '-'}</td>
-                    <td class="text-right">${wh.quantityAvailable ?? 0}</td>
-                    <td class="text-right">${wh.quantityBackordered ?? 0}</td>
+function renderSourceComparison() {
+    const comparison = state.sourceComparison;
+    const tbody = document.getElementById('comparisonBody');
+    if (!comparison || !tbody) return;
+
+    // Highlight the lowest cost among distributors that returned one
+    const costs = Object.values(comparison.results)
+        .filter(r => r.status === 'found' && r.product.pricing?.cost != null)
+        .map(r => r.product.pricing.cost);
+    const bestCost = costs.length > 1 ? Math.min(...costs) : null;
+
+    const currentSource = comparison.queueKey ? comparison.product.distributor : null;
+
+    tbody.innerHTML = Object.keys(DISTRIBUTORS).map(key => {
+        const name = DISTRIBUTORS[key].name;
+        const result = comparison.results[key] || { status: 'loading' };
+
+        if (result.status !== 'found') {
+            const messages = {
+                loading: t('compare.loading'),
+                unavailable: t('compare.unavailable'),
+                notFound: t('compare.notFound'),
+                error: t('compare.error', { message: result.message || t('compare.lookupFailed') })
+            };
+            return `
+                <tr class="comparison-${result.status}">
+                    <td><strong>${name}</strong></td>
+                    <td colspan="5" class="comparison-message">${messages[result.status]}</td>
                 </tr>
-            `).join('');
-        } else {
-            warehouseSection.style.display = 'none';
+            `;
         }
+
+        const pricing = result.product.pricing;
+        const isBest = bestCost !== null && pricing?.cost === bestCost;
+        const isCurrent = key === currentSource;
+        const available = pricing?.availability?.total;
+
+        return `
+            <tr class="${isBest ? 'comparison-best' : ''}">
+                <td><strong>${name}</strong>${isCurrent ? ` <span class="comparison-current">${t('compare.current')}</span>` : ''}</td>
+                <td>${result.product.sku || '-'}</td>
+                <td class="text-right">${formatPriceWithQuote(pricing?.msrp, getPricingCurrency(pricing))}</td>
+                <td class="text-right">${formatPriceWithQuote(pricing?.cost, getPricingCurrency(pricing))}</td>
+                <td class="text-right">${available != null ? formatNumber(available) : '-'}</td>
+                <td class="text-right">
+                    <button class="btn-accent btn-tiny" onclick="chooseSource('${key}')" ${isCurrent ? 'disabled' : ''}>
+                        ${comparison.queueKey ? t('compare.use') : t('compare.queue')}
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Queue the chosen distributor's product, replacing the compared queue line if any
+function chooseSource(distributorKey) {
+    const comparison = state.sourceComparison;
+    const result = comparison?.results[distributorKey];
+    if (!result || result.status !== 'found') return;
+
+    const chosen = { ...result.product, pricing: getProductPricing(result.product), quantity: 1 };
+    const chosenKey = getProductKey(chosen);
+    const sourceName = DISTRIBUTORS[distributorKey].name;
+
+    const lineIndex = comparison.queueKey
+        ? state.queuedProducts.findIndex(p => getProductKey(p) === comparison.queueKey)
+        : -1;
+
+    if (lineIndex >= 0) {
+        chosen.quantity = state.queuedProducts[lineIndex].quantity || 1;
+        state.queuedProducts[lineIndex] = chosen;
+        showStatus(t('status.sourceSwitched', { part: chosen.vendorPartNumber, name: sourceName }), 'success');
+    } else if (state.queuedProducts.some(p => getProductKey(p) === chosenKey)) {
+        showStatus(t('status.sourceAlreadyQueued', { part: chosen.vendorPartNumber, name: sourceName }), 'info');
     } else {
-        warehouseSection.style.display = 'none';
+        state.queuedProducts.push(chosen);
+        showStatus(t('status.sourceAdded', { part: chosen.vendorPartNumber, name: sourceName }), 'success');
     }
 
-    document.getElementById('rawApiResponse').textContent = JSON.stringify(fullProductData, null, 2);
+    hideSourceComparison();
+    updateQueueUI();
+    refreshProductsTable();
+
+    // The comparison priced the source at quantity 1; the line keeps its quantity
+    if (lineIndex >= 0 && chosen.quantity > 1) repriceQueueLine(chosen);
 }
 
-function hideProductDetails() {
-    document.getElementById('productDetailsSection').style.display = 'none';
+function hideSourceComparison() {
+    state.sourceComparison = null;
+    document.getElementById('sourceComparisonSection').style.display = 'none';
 }
 
 // =====================================================
@@ -1413,6 +5890,9 @@ function cancelSelection() {
         $Client.close({ cancelled: true, products: [] });
     }
 
+    // Keep the autosaved draft so an accidental cancel can be undone on reopen
+    state.draftKey = null;
+
     state.selectedProducts.clear();
     state.queuedProducts = [];
     updateSelectedCount();
@@ -1422,15 +5902,51 @@ function cancelSelection() {
 // =====================================================
 // UTILITY FUNCTIONS
 // =====================================================
+// localStorage can be unavailable inside sandboxed iframes, so failures are non-fatal
+function readStorage(key, fallback) {
+    try {
+        const saved = localStorage.getItem(key);
+        return saved ? JSON.parse(saved) : fallback;
+    } catch (error) {
+        console.warn(`[Storage] Could not read ${key}:`, error);
+        return fallback;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        if (value === null || value === undefined) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+        }
+    } catch (error) {
+        console.warn(`[Storage] Could not write ${key}:`, error);
+    }
+}
+
+// For distributor text placed into HTML templates
+function escapeHtml(val) {
+    return String(val ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+function formatPrice(val, currency = 'USD') {
+    if (val === null || val === undefined) return '-';
+    return formatNumber(val, { style: 'currency', currency });
+}
+
 function resetFilters() {
     state.manufacturer = '';
+    clearUniversalSearch();
     state.currentPage = 1;
     state.totalRecords = 0;
     state.totalPages = 1;
 
     document.getElementById('manufacturerSearch').value = '';
     document.getElementById('manufacturerSelect').innerHTML =
-        '<option value="">Type to search manufacturers...</option>';
+        `<option value="">${t('manufacturer.typeToSearchManufacturers')}</option>`;
     document.getElementById('mfrCount').textContent = '';
     document.getElementById('selectedMfrBadge').textContent = '';
 
@@ -1441,7 +5957,7 @@ function resetFilters() {
     resetProducts();
 
     document.getElementById('productsSection').style.display = 'none';
-    showStatus('Select a manufacturer to begin', 'info');
+    showStatus(t('status.selectManufacturerToBegin'), 'info');
 }
 
 function resetOptionalFilters() {
@@ -1455,13 +5971,13 @@ function resetOptionalFilters() {
 
     const catSelect = document.getElementById('categorySelect');
     if (catSelect) {
-        catSelect.innerHTML = '<option value="">-- Any --</option>';
+        catSelect.innerHTML = `<option value="">${t('filter.any')}</option>`;
         document.getElementById('catCount').textContent = '';
     }
 
     const subSelect = document.getElementById('subcategorySelect');
     if (subSelect) {
-        subSelect.innerHTML = '<option value="">-- Any --</option>';
+        subSelect.innerHTML = `<option value="">${t('filter.any')}</option>`;
         document.getElementById('subCatCount').textContent = '';
     }
 
@@ -1479,13 +5995,17 @@ function resetOptionalFilters() {
 function resetProducts() {
     document.getElementById('productsBody').innerHTML = '';
     document.getElementById('pagination').innerHTML = '';
-    document.getElementById('productCount').textContent = '0 products';
+    document.getElementById('productCount').textContent = t('products.count', { count: 0 });
     document.getElementById('productDetailsSection').style.display = 'none';
 
     // Only clear current page selection, NOT the queue
     state.selectedProducts.clear();
     state.currentProducts = [];
-    state.pricingData = {};
+    state.pageProducts = [];
+    state.productsListing = null;
+    state.loadedPages = new Map();
+    state.loadingMore = false;
+    state.renderedRange = null;
 
     updateSelectedCount();
 
@@ -1506,6 +6026,8 @@ function showStatus(message, type) {
         statusTimeout = null;
     }
 
+    // Errors interrupt the screen reader; everything else waits its turn
+    el.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite');
     el.className = `status-bar ${type}`;
     el.innerHTML = `<span class="status-message">${message}</span>`;
 
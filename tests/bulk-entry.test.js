@@ -0,0 +1,49 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { createElement, loadWidget } = require('./load-widget');
+
+test('pasted part numbers render as text in the bulk review table', async () => {
+    const { context, elements } = loadWidget();
+    context.getDistributorAdapter().findByIdentifier = async () => [];
+    elements.bulkInput = { ...createElement(), value: '<b>x</b>" 2' };
+
+    await context.runBulkLookup();
+
+    const html = elements.bulkResultsBody.innerHTML;
+    assert.ok(html.includes('value="&lt;b&gt;x&lt;/b&gt;&quot;"'), html);
+    assert.ok(!html.includes('<b>x</b>'), html);
+});
+
+test('entered text and manufacturer cells are escaped', () => {
+    const { context, elements } = loadWidget();
+    vm.runInContext(`state.bulkLines = [{
+        input: '<b>x</b>"', manufacturer: '<i>m</i>', quantity: 1,
+        status: 'pending', candidates: [], selected: null
+    }];`, context);
+
+    context.renderBulkResults();
+
+    const html = elements.bulkResultsBody.innerHTML;
+    assert.ok(html.includes('&lt;b&gt;x&lt;/b&gt;&quot;'), html);
+    assert.ok(html.includes('&lt;i&gt;m&lt;/i&gt;'), html);
+    assert.ok(!html.includes('<b>') && !html.includes('<i>'), html);
+});
+
+test('BOM file names and header cells render as text in the column mapping', () => {
+    const { context, elements } = loadWidget();
+    vm.runInContext(`state.bomImport = {
+        fileName: '<img src=x onerror=alert(1)>.csv',
+        rows: [['<img src=x onerror=alert(2)>', 'Qty'], ['ABC-1', '2']],
+        hasHeader: true,
+        mapping: { part: 0, manufacturer: null, quantity: 1, targetPrice: null }
+    };`, context);
+
+    context.renderBomMapping();
+
+    const html = elements.bomMapping.innerHTML;
+    assert.ok(!html.includes('<img'), html);
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;.csv'), html);
+    assert.ok(html.includes('A: &lt;img src=x onerror=alert(2)&gt;'), html);
+});
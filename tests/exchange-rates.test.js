@@ -0,0 +1,36 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadWidget } = require('./load-widget');
+
+function loadWithConnection(referrer, invoke) {
+    const { context, elements } = loadWidget();
+    context.document.referrer = referrer;
+    context.ZOHO = { CRM: { CONNECTION: { invoke } } };
+    return { context, elements };
+}
+
+test('exchange rates are read from the data center the CRM is opened from', async () => {
+    const urls = [];
+    const { context } = loadWithConnection('https://crm.zoho.eu/crm/org1/tab/Quotes', async (name, request) => {
+        urls.push(request.url);
+        return { currencies: [{ iso_code: 'EUR', is_base: true }, { iso_code: 'USD', exchange_rate: '1.1' }] };
+    });
+
+    await context.loadOrgExchangeRates();
+
+    assert.deepStrictEqual(urls, ['https://www.zohoapis.eu/crm/v2/org/currencies']);
+    assert.strictEqual(vm.runInContext('state.exchangeRates.USD', context), 1.1);
+});
+
+test('the rep is told when no exchange rates can be loaded', async () => {
+    const { context, elements } = loadWithConnection('https://crm.zoho.com/', async () => {
+        throw new Error('Connection not found');
+    });
+
+    await context.loadOrgExchangeRates();
+
+    assert.match(elements.filterStatus.className, /error/);
+    assert.match(elements.filterStatus.innerHTML, /status\.exchangeRatesUnavailable/);
+});
@@ -0,0 +1,53 @@
+// Loads js/widget.js into a sandbox with just enough DOM for rendering tests.
+// Elements are created on first getElementById and returned in `elements`.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function createElement() {
+    return {
+        style: {},
+        dataset: {},
+        value: '',
+        innerHTML: '',
+        textContent: '',
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        setAttribute() {},
+        addEventListener() {},
+        appendChild() {},
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+}
+
+function loadWidget() {
+    const elements = {};
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        navigator: { language: 'en-US' },
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        document: {
+            documentElement: {},
+            addEventListener() {},
+            createElement,
+            getElementById: id => elements[id] || (elements[id] = createElement()),
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        setTimeout: (fn, ms) => setTimeout(fn, ms).unref(),
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval() {},
+        requestAnimationFrame: () => 0,
+        structuredClone,
+        AbortController,
+        URL,
+        URLSearchParams,
+        Intl
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/widget.js'), 'utf8'), context);
+    return { context, elements };
+}
+
+module.exports = { createElement, loadWidget };
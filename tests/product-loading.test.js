@@ -0,0 +1,63 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadWidget } = require('./load-widget');
+
+// A listing whose rows never fill the view, as when quick filters hide most
+// of each page. Rendering is stubbed out; only page requests are counted.
+async function loadShortListing() {
+    const { context, elements } = loadWidget();
+    const requests = [];
+
+    context.requestAnimationFrame = callback => {
+        callback();
+        return 0;
+    };
+    context.displayProductsWithPricing = () => {};
+    context.renderPagination = () => {};
+    Object.assign(context.document.getElementById('tableContainer'), { scrollHeight: 100, scrollTop: 0, clientHeight: 500 });
+    context.getDistributorAdapter().loadProductPage = async (filters, page) => {
+        requests.push(page);
+        return {
+            products: [{ sku: `S${page}`, vendorPartNumber: `P${page}` }],
+            pagination: { totalRecords: 5000, totalPages: 100 }
+        };
+    };
+    vm.runInContext(`state.manufacturer = 'Acme';`, context);
+
+    await context.loadProducts(1);
+    await settle();
+    return { context, elements, requests, limit: vm.runInContext('AUTO_LOAD_PAGE_LIMIT', context) };
+}
+
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('automatic page loads stop at the limit', async () => {
+    const { requests, limit } = await loadShortListing();
+    assert.deepStrictEqual(requests, Array.from({ length: limit + 1 }, (_, i) => i + 1));
+});
+
+test('resizes and re-renders do not restart automatic loads', async () => {
+    const { context, requests } = await loadShortListing();
+    const before = requests.length;
+
+    // ResizeObserver and re-renders call onProductsScroll without a scroll event
+    context.onProductsScroll();
+    context.onProductsScroll();
+    await settle();
+
+    assert.strictEqual(requests.length, before);
+});
+
+test('a user scroll allows another round of automatic loads', async () => {
+    const { context, requests, limit } = await loadShortListing();
+    const before = requests.length;
+
+    context.onProductsUserScroll();
+    await settle();
+
+    assert.strictEqual(requests.length, before + limit);
+});
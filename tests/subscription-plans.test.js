@@ -0,0 +1,34 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadWidget } = require('./load-widget');
+
+test('a chosen plan prices the quote line but not the Products record', () => {
+    const { context } = loadWidget();
+    vm.runInContext(`state.homeCurrency = 'USD'; state.quoteCurrency = 'USD'; state.exchangeRates.USD = 1;`, context);
+    const product = {
+        distributor: 'ingram',
+        sku: 'S1',
+        vendorPartNumber: 'P1',
+        subscriptionPlan: 'annual',
+        pricing: {
+            currency: 'USD',
+            msrp: 1200,
+            cost: 900,
+            subscriptionPlans: [{
+                id: 'annual', planName: 'Annual', resourceName: 'Seat',
+                term: { duration: 12, unit: 'Months' }, billingPeriod: 'Monthly',
+                msrp: 10, cost: 8
+            }]
+        }
+    };
+
+    const line = context.formatQueueProduct(product);
+    const record = context.buildZohoProductRecord(line);
+
+    assert.strictEqual(line.MSRP, 10);
+    assert.strictEqual(line.Unit_Price, 10);
+    assert.strictEqual(record.MSRP, 1200);
+    assert.strictEqual(record.Product_MSRP, undefined);
+});